@@ -0,0 +1,565 @@
+/// @ts-check
+/// <reference path="./index.d.ts" />
+
+import { isSupportedLocale, isLocalizedText } from "./localization.mjs";
+
+'use strict';
+
+/**
+ * Default values for every optional setting of the config.json.
+ * Only 'encryptedBucketUrl' and 'goals' have to be specified.
+ * @type {Omit<Config, 'encryptedBucketUrl' | 'goals' | 'push' | 'signature' | 'timer' | 'fulfillment'> & {
+ *   push: { reconnect: BackoffConfig },
+ *   signature: Omit<SignatureConfig, 'publicKey'>,
+ *   timer: Omit<TimerConfig, 'start' | 'end'>,
+ *   fulfillment: Omit<FulfillmentConfig, 'statusFile'>,
+ * }}
+ */
+export const defaults = {
+    title: "Goals",
+    locale: undefined,
+    numberFormat: {
+        decimals: 0,
+        thousandsSeparator: null,
+    },
+    counter: {
+        tweenDuration: 1500,
+        easing: "easeOutCubic",
+    },
+    initialTotalPoints: 0,
+    visibleGoalCount: 3,
+    layout: "vertical",
+    theme: "forest",
+    intervals: {
+        fetch: 15000,
+        pageRefresh: 60000,
+    },
+    animation: {
+        scrollDuration: 2000,
+    },
+    catchUp: {
+        mode: "skip",
+        threshold: 2,
+        compressedScrollDuration: 500,
+        summaryText: "+{count} goals",
+        summaryDuration: 5000,
+    },
+    progress: {
+        enabled: true,
+        text: "{current} / {target}",
+    },
+    eta: {
+        enabled: false,
+        window: 30 * 60 * 1000,
+        minHistory: 5 * 60 * 1000,
+        smoothing: 0.3,
+        minRate: 10,
+        maxEta: 12 * 60 * 60 * 1000,
+        text: "about {time}",
+        minutesText: "{minutes} min",
+        hoursText: "{hours}:{minutes} h",
+    },
+    hiddenGoals: {
+        text: "???",
+        points: "???",
+    },
+    connection: {
+        retry: {
+            initialDelay: 2000,
+            maxDelay: 60000,
+        },
+        offlineBadgeDelay: 120000,
+        offlineText: "offline",
+    },
+    push: {
+        reconnect: {
+            initialDelay: 1000,
+            maxDelay: 60000,
+        },
+    },
+    breakdown: {
+        cycle: 6000,
+        labels: {},
+    },
+    timer: {
+        display: "countdown",
+        upcomingText: "Starts in {time}",
+        runningText: "{time}",
+        endedText: "Event ended",
+        results: true,
+    },
+    signature: {
+        invalidText: "invalid data",
+    },
+    fulfillment: {
+        unlockedText: "unlocked",
+        fulfilledText: "fulfilled",
+        outstandingList: false,
+        outstandingTitle: "Outstanding goals",
+    },
+};
+
+/** @returns {value is Record<string, unknown>} */
+function isObject(/** @type {unknown} */ value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * An envelope of encrypt of crypto.mjs, or the legacy packed string of the 16 characters of the iv followed by the data,
+ * which decrypt still reads.
+ * @returns {value is EncryptedText}
+ */
+function isEncryptedText(/** @type {unknown} */ value) {
+    if (typeof value === "string")
+        return value.length > 16;
+
+    return isObject(value) && typeof value.iv === "string" && typeof value.data === "string";
+}
+
+const encryptedTextExpectation = "an object with the string fields 'iv' and 'data' or the packed string of both";
+
+/**
+ * Validates the parsed config.json and collects a readable message for every problem.
+ * @param {unknown} json
+ * @returns {string[]}
+ */
+export function validateConfig(json) {
+    /** @type {string[]} */
+    const errors = [];
+
+    if (!isObject(json)) {
+        errors.push("The config has to be a json object.");
+        return errors;
+    }
+
+    function checkOptional(
+        /** @type {string} */ path,
+        /** @type {unknown} */ value,
+        /** @type {(value: unknown) => boolean} */ isValid,
+        /** @type {string} */ expected
+    ) {
+        if (value === undefined)
+            return;
+
+        if (!isValid(value))
+            errors.push(`'${path}' has to be ${expected}, but is ${JSON.stringify(value)}.`);
+    }
+
+    const isPositiveNumber = (/** @type {unknown} */ x) => typeof x === "number" && Number.isFinite(x) && x > 0;
+    const isPositiveInteger = (/** @type {unknown} */ x) => Number.isInteger(x) && /** @type {number} */(x) > 0;
+    const isString = (/** @type {unknown} */ x) => typeof x === "string";
+
+    if (!isEncryptedText(json.encryptedBucketUrl)) {
+        errors.push(`'encryptedBucketUrl' has to be ${encryptedTextExpectation}.`);
+    }
+
+    checkOptional('title', json.title, isLocalizedText, "a non-empty string or an object with a text for each language");
+    checkOptional('locale', json.locale, isSupportedLocale, "a supported locale like \"de-DE\"");
+    if (json.recipients !== undefined) {
+        if (!Array.isArray(json.recipients) || json.recipients.length === 0) {
+            errors.push("'recipients' has to be a non-empty array.");
+        } else {
+            /** @type {Set<unknown>} */
+            const ids = new Set();
+            json.recipients.forEach(function (recipient, index) {
+                const path = `recipients[${index}]`;
+                if (!isObject(recipient) || typeof recipient.id !== "string" || recipient.id === '') {
+                    errors.push(`'${path}.id' has to be a non-empty string.`);
+                    return;
+                }
+
+                if (ids.has(recipient.id))
+                    errors.push(`'${path}.id' ${JSON.stringify(recipient.id)} is used by another recipient.`);
+                ids.add(recipient.id);
+
+                if (!isObject(recipient.wrappedKey)
+                    || typeof recipient.wrappedKey.iv !== "string"
+                    || typeof recipient.wrappedKey.data !== "string")
+                    errors.push(`'${path}.wrappedKey' has to be an object with the string fields 'iv' and 'data'.`);
+            });
+        }
+    }
+
+    if (json.numberFormat !== undefined) {
+        if (!isObject(json.numberFormat)) {
+            errors.push("'numberFormat' has to be an object.");
+        } else {
+            checkOptional('numberFormat.decimals', json.numberFormat.decimals,
+                x => Number.isInteger(x) && /** @type {number} */(x) >= 0 && /** @type {number} */(x) <= 6, "a number of decimals between 0 and 6");
+            checkOptional('numberFormat.thousandsSeparator', json.numberFormat.thousandsSeparator,
+                x => x === null || typeof x === "string", "a string or null");
+        }
+    }
+
+    if (json.counter !== undefined) {
+        if (!isObject(json.counter)) {
+            errors.push("'counter' has to be an object.");
+        } else {
+            checkOptional('counter.tweenDuration', json.counter.tweenDuration,
+                x => typeof x === "number" && Number.isFinite(x) && x >= 0, "a number of at least 0 milliseconds");
+            checkOptional('counter.easing', json.counter.easing,
+                x => x === "linear" || x === "easeOutCubic" || x === "easeInOutCubic", "\"linear\", \"easeOutCubic\" or \"easeInOutCubic\"");
+        }
+    }
+
+    checkOptional('initialTotalPoints', json.initialTotalPoints,
+        x => typeof x === "number" && Number.isFinite(x) && x >= 0, "a number of at least 0");
+    checkOptional('visibleGoalCount', json.visibleGoalCount, x => x === "all" || isPositiveInteger(x), "a positive number or \"all\"");
+    checkOptional('layout', json.layout,
+        x => x === "vertical" || x === "horizontal" || x === "compact", "\"vertical\", \"horizontal\" or \"compact\"");
+    checkOptional('theme', json.theme,
+        x => x === "forest" || x === "night" || x === "minimal", "\"forest\", \"night\" or \"minimal\"");
+
+    if (json.intervals !== undefined) {
+        if (!isObject(json.intervals)) {
+            errors.push("'intervals' has to be an object.");
+        } else {
+            checkOptional('intervals.fetch', json.intervals.fetch, isPositiveInteger, "a positive number of milliseconds");
+            checkOptional('intervals.pageRefresh', json.intervals.pageRefresh, isPositiveInteger, "a positive number of milliseconds");
+        }
+    }
+
+    if (json.animation !== undefined) {
+        if (!isObject(json.animation)) {
+            errors.push("'animation' has to be an object.");
+        } else {
+            checkOptional('animation.scrollDuration', json.animation.scrollDuration, isPositiveNumber, "a positive number of milliseconds");
+        }
+    }
+
+    if (json.catchUp !== undefined) {
+        if (!isObject(json.catchUp)) {
+            errors.push("'catchUp' has to be an object.");
+        } else {
+            checkOptional('catchUp.mode', json.catchUp.mode,
+                x => x === "off" || x === "skip" || x === "compress", "\"off\", \"skip\" or \"compress\"");
+            checkOptional('catchUp.threshold', json.catchUp.threshold, isPositiveInteger, "a positive number of goals");
+            checkOptional('catchUp.compressedScrollDuration', json.catchUp.compressedScrollDuration, isPositiveNumber, "a positive number of milliseconds");
+            checkOptional('catchUp.summaryText', json.catchUp.summaryText, isString, "a string");
+            checkOptional('catchUp.summaryDuration', json.catchUp.summaryDuration, isPositiveNumber, "a positive number of milliseconds");
+        }
+    }
+
+    if (json.connection !== undefined) {
+        const connection = json.connection;
+        if (!isObject(connection)) {
+            errors.push("'connection' has to be an object.");
+        } else {
+            if (connection.retry !== undefined) {
+                if (!isObject(connection.retry)) {
+                    errors.push("'connection.retry' has to be an object.");
+                } else {
+                    checkOptional('connection.retry.initialDelay', connection.retry.initialDelay, isPositiveInteger, "a positive number of milliseconds");
+                    checkOptional('connection.retry.maxDelay', connection.retry.maxDelay, isPositiveInteger, "a positive number of milliseconds");
+                }
+            }
+            checkOptional('connection.offlineBadgeDelay', connection.offlineBadgeDelay,
+                x => typeof x === "number" && Number.isFinite(x) && x >= 0, "a number of at least 0 milliseconds");
+            checkOptional('connection.offlineText', connection.offlineText, isString, "a string");
+        }
+    }
+
+    if (json.push !== undefined) {
+        const push = json.push;
+        if (!isObject(push)) {
+            errors.push("'push' has to be an object.");
+        } else {
+            if (push.type !== "sse" && push.type !== "websocket")
+                errors.push(`'push.type' has to be "sse" or "websocket", but is ${JSON.stringify(push.type)}.`);
+
+            if (!isEncryptedText(push.encryptedUrl))
+                errors.push(`'push.encryptedUrl' has to be ${encryptedTextExpectation}.`);
+
+            if (push.reconnect !== undefined) {
+                if (!isObject(push.reconnect)) {
+                    errors.push("'push.reconnect' has to be an object.");
+                } else {
+                    checkOptional('push.reconnect.initialDelay', push.reconnect.initialDelay, isPositiveInteger, "a positive number of milliseconds");
+                    checkOptional('push.reconnect.maxDelay', push.reconnect.maxDelay, isPositiveInteger, "a positive number of milliseconds");
+                }
+            }
+        }
+    }
+
+    if (json.signature !== undefined) {
+        const signature = json.signature;
+        if (!isObject(signature)) {
+            errors.push("'signature' has to be an object.");
+        } else {
+            if (typeof signature.publicKey !== "string" || signature.publicKey === '')
+                errors.push("'signature.publicKey' has to be the public key as a non-empty base64 string.");
+
+            checkOptional('signature.invalidText', signature.invalidText, isString, "a string");
+        }
+    }
+
+    if (json.remote !== undefined) {
+        const remote = json.remote;
+        if (!isObject(remote)) {
+            errors.push("'remote' has to be an object.");
+        } else if (!isEncryptedText(remote.encryptedRelayUrl)) {
+            errors.push(`'remote.encryptedRelayUrl' has to be ${encryptedTextExpectation}.`);
+        }
+    }
+
+    if (json.fulfillment !== undefined) {
+        const fulfillment = json.fulfillment;
+        if (!isObject(fulfillment)) {
+            errors.push("'fulfillment' has to be an object.");
+        } else {
+            checkOptional('fulfillment.statusFile', fulfillment.statusFile, isString, "a string");
+            checkOptional('fulfillment.unlockedText', fulfillment.unlockedText, isString, "a string");
+            checkOptional('fulfillment.fulfilledText', fulfillment.fulfilledText, isString, "a string");
+            checkOptional('fulfillment.outstandingList', fulfillment.outstandingList, x => typeof x === "boolean", "a boolean");
+            checkOptional('fulfillment.outstandingTitle', fulfillment.outstandingTitle, isString, "a string");
+        }
+    }
+
+    if (json.breakdown !== undefined) {
+        const breakdown = json.breakdown;
+        if (!isObject(breakdown)) {
+            errors.push("'breakdown' has to be an object.");
+        } else {
+            checkOptional('breakdown.cycle', breakdown.cycle,
+                x => typeof x === "number" && Number.isFinite(x) && x >= 0, "a number of at least 0 milliseconds");
+            checkOptional('breakdown.labels', breakdown.labels,
+                x => isObject(x) && Object.values(x).every(isString), "an object with a string for each source");
+        }
+    }
+
+    if (json.timer !== undefined) {
+        const timer = json.timer;
+        if (!isObject(timer)) {
+            errors.push("'timer' has to be an object.");
+        } else {
+            const isTimestamp = (/** @type {unknown} */ x) => typeof x === "string" && !Number.isNaN(Date.parse(x));
+            checkOptional('timer.start', timer.start, isTimestamp, "an ISO timestamp like \"2025-11-14T18:00:00+01:00\"");
+            if (!isTimestamp(timer.end)) {
+                errors.push(`'timer.end' has to be an ISO timestamp like "2025-11-14T18:00:00+01:00", but is ${JSON.stringify(timer.end)}.`);
+            } else if (isTimestamp(timer.start) && Date.parse(/** @type {string} */(timer.end)) <= Date.parse(/** @type {string} */(timer.start))) {
+                errors.push("'timer.end' has to be after 'timer.start'.");
+            }
+
+            checkOptional('timer.display', timer.display, x => x === "countdown" || x === "elapsed", "\"countdown\" or \"elapsed\"");
+            if (timer.display === "elapsed" && timer.start === undefined)
+                errors.push("'timer.start' is required to display the elapsed time.");
+
+            checkOptional('timer.upcomingText', timer.upcomingText, isString, "a string");
+            checkOptional('timer.runningText', timer.runningText, isString, "a string");
+            checkOptional('timer.endedText', timer.endedText, isString, "a string");
+            checkOptional('timer.results', timer.results, x => typeof x === "boolean", "a boolean");
+        }
+    }
+
+    if (json.progress !== undefined) {
+        if (!isObject(json.progress)) {
+            errors.push("'progress' has to be an object.");
+        } else {
+            checkOptional('progress.enabled', json.progress.enabled, x => typeof x === "boolean", "a boolean");
+            checkOptional('progress.text', json.progress.text, isString, "a string");
+        }
+    }
+
+    if (json.eta !== undefined) {
+        const eta = json.eta;
+        if (!isObject(eta)) {
+            errors.push("'eta' has to be an object.");
+        } else {
+            const isNonNegative = (/** @type {unknown} */ x) => typeof x === "number" && Number.isFinite(x) && x >= 0;
+            checkOptional('eta.enabled', eta.enabled, x => typeof x === "boolean", "a boolean");
+            checkOptional('eta.window', eta.window, isPositiveInteger, "a positive number of milliseconds");
+            checkOptional('eta.minHistory', eta.minHistory, isNonNegative, "a number of at least 0 milliseconds");
+            checkOptional('eta.smoothing', eta.smoothing,
+                x => typeof x === "number" && x > 0 && x <= 1, "a number greater than 0 and at most 1");
+            checkOptional('eta.minRate', eta.minRate, isNonNegative, "a number of at least 0 points per hour");
+            checkOptional('eta.maxEta', eta.maxEta, isPositiveInteger, "a positive number of milliseconds");
+            checkOptional('eta.text', eta.text, isString, "a string");
+            checkOptional('eta.minutesText', eta.minutesText, isString, "a string");
+            checkOptional('eta.hoursText', eta.hoursText, isString, "a string");
+            if (typeof eta.window === "number" && typeof eta.minHistory === "number" && eta.minHistory > eta.window)
+                errors.push("'eta.minHistory' can't be longer than 'eta.window'.");
+        }
+    }
+
+    if (json.hiddenGoals !== undefined) {
+        if (!isObject(json.hiddenGoals)) {
+            errors.push("'hiddenGoals' has to be an object.");
+        } else {
+            checkOptional('hiddenGoals.text', json.hiddenGoals.text, isString, "a string");
+            checkOptional('hiddenGoals.points', json.hiddenGoals.points, isString, "a string");
+        }
+    }
+
+    const goals = json.goals;
+    if (!Array.isArray(goals) || goals.length === 0) {
+        errors.push("'goals' has to be a non-empty array.");
+        return errors;
+    }
+
+    /** @type {number | undefined} */
+    let previousPoints;
+    goals.forEach(function (/** @type {unknown} */ goal, /** @type {number} */ index) {
+        const path = `goals[${index}]`;
+        if (!isObject(goal)) {
+            errors.push(`'${path}' has to be an object.`);
+            return;
+        }
+
+        if (typeof goal.points !== "number" || !Number.isFinite(goal.points)) {
+            errors.push(`'${path}.points' has to be a number, but is ${JSON.stringify(goal.points)}.`);
+        } else {
+            if (previousPoints !== undefined && goal.points <= previousPoints) {
+                errors.push(`'${path}.points' (${goal.points}) has to be greater than the points of the previous goal (${previousPoints}).`);
+            }
+            previousPoints = goal.points;
+        }
+
+        checkOptional(`${path}.hidden`, goal.hidden, x => typeof x === "boolean", "a boolean");
+        if (goal.hidden === true && goal.encrypted === undefined)
+            // The config.json is public, so the surprise would be spoiled.
+            errors.push(`'${path}' is hidden, so its texts have to be encrypted into 'encrypted', e.g. with 'provision.mjs encrypt-goal'.`);
+
+        if (goal.encrypted !== undefined) {
+            if (!isEncryptedText(goal.encrypted))
+                errors.push(`'${path}.encrypted' has to be ${encryptedTextExpectation}.`);
+
+            // Otherwise the secret would be public anyways.
+            if (goal.text !== undefined || goal.subtext !== undefined)
+                errors.push(`'${path}' has encrypted texts, so 'text' and 'subtext' must not be set.`);
+        } else {
+            if (!isLocalizedText(goal.text)) {
+                errors.push(`'${path}.text' has to be a non-empty string or an object with a text for each language like { "de": "...", "en": "..." }.`);
+            }
+
+            checkOptional(`${path}.subtext`, goal.subtext, x => x === '' || isLocalizedText(x), "a string or an object with a text for each language");
+        }
+
+        const celebration = goal.celebration;
+        if (celebration !== undefined) {
+            if (!isObject(celebration)) {
+                errors.push(`'${path}.celebration' has to be an object.`);
+            } else {
+                checkOptional(`${path}.celebration.banner`, celebration.banner,
+                    x => typeof x === "string" || typeof x === "boolean", "a string or a boolean");
+                checkOptional(`${path}.celebration.confetti`, celebration.confetti,
+                    x => typeof x === "boolean", "a boolean");
+                checkOptional(`${path}.celebration.audio`, celebration.audio, isString, "a string");
+                checkOptional(`${path}.celebration.volume`, celebration.volume,
+                    x => typeof x === "number" && x >= 0 && x <= 1, "a number between 0 and 1");
+                checkOptional(`${path}.celebration.holdDuration`, celebration.holdDuration, isPositiveNumber, "a positive number of milliseconds");
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Matches the goals of a changed config with the previous goals, so their state can be kept.
+ * A goal is the same, if it is unchanged, if only its points changed or if only its texts changed.
+ * @param {GoalConfig[]} previous
+ * @param {GoalConfig[]} next
+ * @returns {(number | undefined)[]} The index of the previous goal for each of the next goals.
+ */
+export function matchGoalConfigs(previous, next) {
+    /** @type {(number | undefined)[]} */
+    const matches = next.map(() => undefined);
+    /** @type {Set<number>} */
+    const matched = new Set();
+
+    /** @type {((a: GoalConfig, b: GoalConfig) => boolean)[]} */
+    const passes = [
+        (a, b) => JSON.stringify(a) === JSON.stringify(b),
+        (a, b) => JSON.stringify({ ...a, points: 0 }) === JSON.stringify({ ...b, points: 0 }),
+        (a, b) => a.points === b.points,
+    ];
+    for (const isSame of passes) {
+        next.forEach(function (goal, index) {
+            if (matches[index] !== undefined)
+                return;
+
+            const match = previous.findIndex((x, i) => !matched.has(i) && isSame(x, goal));
+            if (match >= 0) {
+                matches[index] = match;
+                matched.add(match);
+            }
+        });
+    }
+
+    return matches;
+}
+
+/**
+ * Fills in the defaults of every optional setting. The json has to be validated before.
+ * @param {any} json
+ * @returns {Config}
+ */
+export function applyConfigDefaults(json) {
+    return {
+        ...defaults,
+        ...json,
+        numberFormat: {
+            ...defaults.numberFormat,
+            ...json.numberFormat,
+        },
+        counter: {
+            ...defaults.counter,
+            ...json.counter,
+        },
+        intervals: {
+            ...defaults.intervals,
+            ...json.intervals,
+        },
+        animation: {
+            ...defaults.animation,
+            ...json.animation,
+        },
+        catchUp: {
+            ...defaults.catchUp,
+            ...json.catchUp,
+        },
+        progress: {
+            ...defaults.progress,
+            ...json.progress,
+        },
+        eta: {
+            ...defaults.eta,
+            ...json.eta,
+        },
+        hiddenGoals: {
+            ...defaults.hiddenGoals,
+            ...json.hiddenGoals,
+        },
+        connection: {
+            ...defaults.connection,
+            ...json.connection,
+            retry: {
+                ...defaults.connection.retry,
+                ...json.connection?.retry,
+            },
+        },
+        push: json.push && {
+            ...json.push,
+            reconnect: {
+                ...defaults.push.reconnect,
+                ...json.push.reconnect,
+            },
+        },
+        breakdown: {
+            ...defaults.breakdown,
+            ...json.breakdown,
+        },
+        signature: json.signature && {
+            ...defaults.signature,
+            ...json.signature,
+        },
+        timer: json.timer && {
+            ...defaults.timer,
+            ...json.timer,
+        },
+        fulfillment: json.fulfillment && {
+            ...defaults.fulfillment,
+            ...json.fulfillment,
+        },
+    };
+}
@@ -1,9 +1,20 @@
+/// @ts-check
+
+// The encryption of the config.json values and the signatures of the payloads. It stays next to the overlay,
+// which is deployed on its own, and the tools of tools/everylunaever/bunathon2025/ import it from here.
+
 /**
  * Converts an array buffer to a base64
  * @param {ArrayBuffer} buffer
  */
 export function arrayBufferToBase64Url(buffer) {
-    return btoa(String.fromCharCode(...new Uint8Array(buffer))).replace(/\//g, '_').replace(/\+/g, '-');
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // In chunks, because the spread of a large supporter map exceeds the maximum number of arguments.
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\//g, '_').replace(/\+/g, '-');
 }
 
 /**
@@ -52,40 +63,262 @@ export async function importKey(base64) {
     );
 }
 
+/** The version of the envelope written by encrypt. */
+const envelopeVersion = 1;
+
 /**
- * Encrypt
+ * Compresses or decompresses the bytes with a CompressionStream
+ * @param {BufferSource} bytes
+ * @param {CompressionStream | DecompressionStream} stream
+ */
+async function transform(bytes, stream) {
+    const transformed = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(transformed).arrayBuffer());
+}
+
+/**
+ * Encrypts the text into a self-describing envelope: `{ version, algorithm, compression?, iv, data }`.
+ * The compression is worth it for large texts like the supporter maps, it is applied before the encryption.
  * @param {string | undefined} text
  * @param {CryptoKey} key
+ * @param {{ compress?: boolean }} [options]
  */
-export async function encrypt(text, key) {
+export async function encrypt(text, key, { compress = false } = {}) {
     const iv = crypto.getRandomValues(new Uint8Array(12));
     const encoded = new TextEncoder().encode(text);
     const ciphertext = await crypto.subtle.encrypt(
         { name: "AES-GCM", iv },
         key,
-        encoded
+        compress ? await transform(encoded, new CompressionStream("gzip")) : encoded
     );
 
     return {
+        version: envelopeVersion,
+        algorithm: "AES-GCM",
+        ...(compress ? { compression: "gzip" } : {}),
         iv: arrayBufferToBase64Url(iv.buffer),
         data: arrayBufferToBase64Url(ciphertext),
     };
 }
 
 /**
- * Decrypt
- * @param {{ iv: any; data: any; }} encrypted
+ * Decrypts an envelope of encrypt and the legacy formats without a version:
+ * `{ iv, data }` and the packed string of the 16 characters of the iv followed by the data.
+ * @param {{ version?: number; algorithm?: string; compression?: string; iv: string; data: string; } | string} encrypted
  * @param {CryptoKey} key
  */
 export async function decrypt(encrypted, key) {
+    if (typeof encrypted === "string") {
+        encrypted = {
+            iv: encrypted.substring(0, 16),
+            data: encrypted.substring(16),
+        };
+    }
+
+    const { version = 0, algorithm = "AES-GCM", compression } = encrypted;
+    if (version > envelopeVersion)
+        throw new Error(`Unsupported envelope version ${version}, reload the page for the latest version`);
+    if (algorithm !== "AES-GCM")
+        throw new Error(`Unsupported encryption algorithm ${algorithm}`);
+    if (compression !== undefined && compression !== "gzip")
+        throw new Error(`Unsupported compression ${compression}`);
+
     const iv = base64UrlToArrayBuffer(encrypted.iv);
     const data = base64UrlToArrayBuffer(encrypted.data);
-    const decrypted = await crypto.subtle.decrypt(
+    const decrypted = new Uint8Array(await crypto.subtle.decrypt(
         { name: "AES-GCM", iv: new Uint8Array(iv) },
         key,
         data
+    ));
+    return new TextDecoder().decode(compression === "gzip"
+        ? await transform(decrypted, new DecompressionStream("gzip"))
+        : decrypted);
+}
+
+/**
+ * Encrypts a value of encrypt again with another key, keeps its compression.
+ * @param {{ compression?: string; iv: string; data: string; } | string} encrypted
+ * @param {CryptoKey} oldKey
+ * @param {CryptoKey} newKey
+ */
+export async function reencrypt(encrypted, oldKey, newKey) {
+    const compress = typeof encrypted !== "string" && encrypted.compression === "gzip";
+    return encrypt(await decrypt(encrypted, oldKey), newKey, { compress });
+}
+
+/**
+ * Wraps the data key with the key of a recipient.
+ * The data key encrypts the data, every recipient only gets an own key to unwrap it.
+ * So a recipient can be added without touching the data or the keys of the others.
+ * Revoking one needs a new data key, because the recipient could have kept the unwrapped one,
+ * see rotateDataKey of tools/everylunaever/bunathon2025/shared/config-file.mjs.
+ * @param {CryptoKey} dataKey
+ * @param {CryptoKey} recipientKey
+ */
+export async function wrapDataKey(dataKey, recipientKey) {
+    return encrypt(await exportKey(dataKey), recipientKey);
+}
+
+/**
+ * Unwraps the data key with the key of a recipient
+ * @param {{ iv: any; data: any; }} wrappedKey
+ * @param {CryptoKey} recipientKey
+ */
+export async function unwrapDataKey(wrappedKey, recipientKey) {
+    return importKey(await decrypt(wrappedKey, recipientKey));
+}
+
+/**
+ * Unwraps the data key with the first recipient entry, which belongs to the key.
+ * Without recipients the key is the data key itself, like before the envelope encryption.
+ * @param {{ id: string; wrappedKey: { iv: string; data: string; }; }[] | undefined} recipients
+ * @param {CryptoKey} key
+ * @returns {Promise<CryptoKey | undefined>} undefined, if the key has no entry (anymore).
+ */
+export async function resolveDataKey(recipients, key) {
+    if (!recipients)
+        return key;
+
+    for (const recipient of recipients) {
+        try {
+            return await unwrapDataKey(recipient.wrappedKey, key);
+        } catch {
+            // The authentication of AES-GCM fails for the entries of the other recipients.
+        }
+    }
+}
+
+/**
+ * Generates the key of a new recipient and its entry for the recipients list of the config.json
+ * @param {string} id The name of the recipient, to find the entry again when revoking it.
+ * @param {CryptoKey} dataKey
+ */
+export async function createRecipient(id, dataKey) {
+    const recipientKey = await generateKey();
+    return {
+        key: await exportKey(recipientKey),
+        recipient: {
+            id,
+            wrappedKey: await wrapDataKey(dataKey, recipientKey),
+        },
+    };
+}
+
+/** The known text of the verification blob, which tells a wrong passphrase apart from a broken config. */
+const passphraseVerificationText = "passphrase";
+
+/**
+ * Derives a key from a passphrase with PBKDF2.
+ * The salt is public, so the iterations make every guess slow enough to not brute force the passphrase quickly.
+ * @param {string} passphrase
+ * @param {{ salt: string; iterations: number; hash: string; }} parameters
+ */
+export async function deriveKey(passphrase, { salt, iterations, hash }) {
+    const material = await crypto.subtle.importKey(
+        "raw",
+        new TextEncoder().encode(passphrase),
+        "PBKDF2",
+        false,
+        ["deriveKey"]
     );
-    return new TextDecoder().decode(decrypted);
+    return crypto.subtle.deriveKey(
+        { name: "PBKDF2", salt: base64UrlToArrayBuffer(salt), iterations, hash },
+        material,
+        { name: "AES-GCM", length: 256 },
+        true,
+        ["encrypt", "decrypt"]
+    );
+}
+
+/**
+ * Creates the passphrase entry of the config.json, which unlocks the data key with the passphrase
+ * @param {string} passphrase
+ * @param {CryptoKey} dataKey
+ * @param {number} iterations
+ */
+export async function createPassphrase(passphrase, dataKey, iterations) {
+    const parameters = {
+        salt: arrayBufferToBase64Url(crypto.getRandomValues(new Uint8Array(16)).buffer),
+        iterations,
+        hash: "SHA-256",
+    };
+    const key = await deriveKey(passphrase, parameters);
+    return {
+        ...parameters,
+        verification: await encrypt(passphraseVerificationText, key),
+        wrappedKey: await wrapDataKey(dataKey, key),
+    };
+}
+
+/**
+ * Checks the derived key against the verification blob of the passphrase entry
+ * @param {{ verification: { iv: string; data: string; }; }} passphraseConfig
+ * @param {CryptoKey} key
+ */
+export async function verifyPassphraseKey({ verification }, key) {
+    try {
+        return await decrypt(verification, key) === passphraseVerificationText;
+    } catch {
+        return false;
+    }
+}
+
+const signatureAlgorithm = { name: "ECDSA", namedCurve: "P-256" };
+const signatureParameters = { name: "ECDSA", hash: "SHA-256" };
+
+/** Generates the key pair of the backend, which signs the payloads. Both exported as base64. */
+export async function generateSigningKeyPair() {
+    const keyPair = await crypto.subtle.generateKey(signatureAlgorithm, true, ["sign", "verify"]);
+    return {
+        publicKey: arrayBufferToBase64Url(await crypto.subtle.exportKey("spki", keyPair.publicKey)),
+        privateKey: arrayBufferToBase64Url(await crypto.subtle.exportKey("pkcs8", keyPair.privateKey)),
+    };
+}
+
+/**
+ * Imports the base64 public key of the config.json
+ * @param {string} base64
+ */
+export async function importVerifyKey(base64) {
+    return crypto.subtle.importKey("spki", base64UrlToArrayBuffer(base64), signatureAlgorithm, false, ["verify"]);
+}
+
+/**
+ * Signs the raw bytes of the payload, like the backend has to write it into the bucket:
+ * `{ "payload": "<json string>", "signature": "<base64>" }`.
+ * The json stays a string, so no re-serialization can change the signed bytes.
+ * @param {string} payload The json of the payload.
+ * @param {string} privateKey The base64 private key of generateSigningKeyPair.
+ * @returns {Promise<{ payload: string, signature: string }>}
+ */
+export async function signPayload(payload, privateKey) {
+    const key = await crypto.subtle.importKey("pkcs8", base64UrlToArrayBuffer(privateKey), signatureAlgorithm, false, ["sign"]);
+    const signature = await crypto.subtle.sign(signatureParameters, key, new TextEncoder().encode(payload));
+    return { payload, signature: arrayBufferToBase64Url(signature) };
+}
+
+/**
+ * Checks the signature of the raw payload, before anything of it is parsed.
+ * @param {string} text The json of the signed payload of signPayload.
+ * @param {CryptoKey} publicKey
+ * @returns {Promise<string | null>} The verified json of the payload, null without a valid signature.
+ */
+export async function verifyPayload(text, publicKey) {
+    try {
+        /** @type {unknown} */
+        const signed = JSON.parse(text);
+        if (!signed || typeof signed !== "object" || Array.isArray(signed))
+            return null;
+
+        const { payload, signature } = /** @type {Record<string, unknown>} */(signed);
+        if (typeof payload !== "string" || typeof signature !== "string")
+            return null;
+
+        const isValid = await crypto.subtle.verify(signatureParameters, publicKey, base64UrlToArrayBuffer(signature), new TextEncoder().encode(payload));
+        return isValid ? payload : null;
+    } catch {
+        return null;
+    }
 }
 
 /**
@@ -96,19 +329,8 @@ export async function initialize(originalText) {
     const key = await generateKey();
     const encrypted = await encrypt(originalText, key);
 
-    //console.log("Original:", originalText);
-    //console.log("Verschlüsselt (Base64Url):", JSON.stringify(encrypted, undefined, 4));
-    //console.log("Entschlüsselt:", decrypted);
-
-    const exportedKey = await exportKey(key);
-    //console.log("Exportierter Schlüssel (Base64Url):", exportedKey);
-
-    //const importedKey = await importKey(exportedKey);
-    //const decryptedAgain = await decrypt(encrypted, importedKey);
-    //console.log("Entschlüsselt mit importiertem Schlüssel:", decryptedAgain);
-
     return {
-        key: JSON.stringify(encrypted, undefined, 4),
+        key: await exportKey(key),
         encrypted: JSON.stringify(encrypted, undefined, 4),
     }
 }
@@ -0,0 +1,191 @@
+// Local stand-in for the push endpoint of the goal scroller.
+//
+// Usage: node debug-push-server.mjs
+// Then open the overlay on 127.0.0.1:5500 with ?push=sse or ?push=websocket.
+// Every change of debug-points.json is pushed to all connected overlays.
+// Stop and restart the server to test the reconnect and the polling fallback.
+// ws://127.0.0.1:5501/remote relays the encrypted messages of the remote control, use ?relay and the same ?key= on both pages.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFileSync, watchFile } from 'node:fs';
+
+'use strict';
+
+const port = 5501;
+const pointsFile = new URL('./debug-points.json', import.meta.url);
+
+/** @type {Set<import('node:http').ServerResponse>} */
+const eventStreams = new Set();
+/** @type {Set<import('node:stream').Duplex>} */
+const webSockets = new Set();
+/** @type {Set<import('node:stream').Duplex>} */
+const remoteSockets = new Set();
+
+function readPoints() {
+    try {
+        return JSON.stringify(JSON.parse(readFileSync(pointsFile, 'utf8')));
+    } catch (err) {
+        console.error("Failed to read debug-points.json", err);
+        return null;
+    }
+}
+
+function sendEvent(/** @type {import('node:http').ServerResponse} */ response, /** @type {string} */ data) {
+    response.write(`data: ${data}\n\n`);
+}
+
+/** Encodes an unmasked websocket text frame. */
+function encodeTextFrame(/** @type {string} */ text) {
+    const payload = Buffer.from(text, 'utf8');
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decodes the masked text frames of a client. Good enough for the short messages
+ * of the remote control, fragmented frames are not supported.
+ * @returns {{ close: boolean, texts: string[] }}
+ */
+function decodeClientFrames(/** @type {Buffer} */ data) {
+    const texts = [];
+    let offset = 0;
+    while (offset + 2 <= data.length) {
+        const opcode = data[offset] & 0x0f;
+        let length = data[offset + 1] & 0x7f;
+        offset += 2;
+        if (length === 126) {
+            length = data.readUInt16BE(offset);
+            offset += 2;
+        } else if (length === 127) {
+            length = Number(data.readBigUInt64BE(offset));
+            offset += 8;
+        }
+
+        const mask = data.subarray(offset, offset + 4);
+        offset += 4;
+        const payload = Buffer.from(data.subarray(offset, offset + length).map((x, i) => x ^ mask[i % 4]));
+        offset += length;
+
+        // Opcode 0x8 is a close frame of the client.
+        if (opcode === 0x8)
+            return { close: true, texts };
+
+        if (opcode === 0x1) {
+            texts.push(payload.toString('utf8'));
+        }
+    }
+    return { close: false, texts };
+}
+
+function broadcast(/** @type {string} */ data) {
+    console.log(new Date().toISOString(), "push", data, `(${eventStreams.size} sse, ${webSockets.size} websocket)`);
+    for (const response of eventStreams) {
+        sendEvent(response, data);
+    }
+    for (const socket of webSockets) {
+        socket.write(encodeTextFrame(data));
+    }
+}
+
+const server = createServer(function (request, response) {
+    if (request.url !== '/events') {
+        response.writeHead(404).end();
+        return;
+    }
+
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+    });
+    eventStreams.add(response);
+    request.on('close', () => eventStreams.delete(response));
+
+    const points = readPoints();
+    if (points) {
+        sendEvent(response, points);
+    }
+});
+
+server.on('upgrade', function (request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = createHash('sha1')
+        .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+        .digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        '',
+    ].join('\r\n'));
+
+    if (request.url === '/remote') {
+        remoteSockets.add(socket);
+        socket.on('data', function (data) {
+            const { close, texts } = decodeClientFrames(data);
+            for (const text of texts) {
+                console.log(new Date().toISOString(), "remote", text, `(${remoteSockets.size - 1} receivers)`);
+                for (const other of remoteSockets) {
+                    if (other !== socket) {
+                        other.write(encodeTextFrame(text));
+                    }
+                }
+            }
+            if (close) {
+                socket.end();
+            }
+        });
+        socket.on('close', () => remoteSockets.delete(socket));
+        socket.on('error', () => remoteSockets.delete(socket));
+        return;
+    }
+
+    webSockets.add(socket);
+    socket.on('data', function (data) {
+        // Opcode 0x8 is a close frame of the client.
+        if ((data[0] & 0x0f) === 0x8) {
+            socket.end();
+        }
+    });
+    socket.on('close', () => webSockets.delete(socket));
+    socket.on('error', () => webSockets.delete(socket));
+
+    const points = readPoints();
+    if (points) {
+        socket.write(encodeTextFrame(points));
+    }
+});
+
+watchFile(pointsFile, { interval: 500 }, function () {
+    const points = readPoints();
+    if (points) {
+        broadcast(points);
+    }
+});
+
+server.listen(port, '127.0.0.1', function () {
+    console.log(`Push stand-in listening on http://127.0.0.1:${port}/events and ws://127.0.0.1:${port}/`);
+    console.log(`Remote control relay listening on ws://127.0.0.1:${port}/remote`);
+});
@@ -2,8 +2,359 @@ declare var counterValue: HTMLSpanElement;
 declare var counterMaximum: HTMLSpanElement;
 declare var goalEntryTemplate: HTMLTemplateElement;
 declare var goalsContainer: HTMLDivElement;
+declare var container: HTMLDivElement;
+declare var counterTitle: HTMLSpanElement;
+declare var configErrors: HTMLDivElement;
+declare var catchUpSummary: HTMLSpanElement;
+declare var celebrationContainer: HTMLDivElement;
+declare var pointsContainer: HTMLDivElement;
+declare var eventTimer: HTMLSpanElement;
+declare var connectionBadge: HTMLSpanElement;
+declare var outstandingGoals: HTMLDivElement;
+declare var themeStylesheet: HTMLLinkElement;
+declare var outstandingTitle: HTMLSpanElement;
+declare var outstandingList: HTMLUListElement;
 
-type Config = typeof import('./config.json');
+type Layout = "vertical" | "horizontal" | "compact";
+
+/** The name of a stylesheet in themes/ */
+type Theme = "forest" | "night" | "minimal";
+
+type CatchUpMode = "off" | "skip" | "compress";
+
+type CounterEasing = "linear" | "easeOutCubic" | "easeInOutCubic";
+
+type PushType = "sse" | "websocket";
+
+/** An envelope of encrypt of crypto.mjs, or the legacy packed string of the 16 characters of the iv followed by the data. */
+type EncryptedText = { iv: string, data: string } | string;
+
+type BackoffConfig = {
+    /** Milliseconds before the first retry. Doubles with every failed attempt. */
+    initialDelay: number,
+    /** Upper limit of the retry delay in milliseconds. */
+    maxDelay: number,
+};
+
+type PushConfig = {
+    /** Receive `{ "total": n }` messages via an EventSource or a WebSocket. */
+    type: PushType,
+    /** The push endpoint, encrypted like the bucket url. */
+    encryptedUrl: EncryptedText,
+    reconnect: BackoffConfig,
+};
+
+type SignatureConfig = {
+    /**
+     * The ECDSA P-256 public key of the backend as base64 of the SPKI.
+     * Every state has to be signed by the backend like `{ "payload": "<json string>", "signature": "<base64>" }`,
+     * the others are rejected.
+     */
+    publicKey: string,
+    /** The warning shown instead of a rejected state. */
+    invalidText: string,
+};
+
+type Transport = {
+    start(): void,
+    stop(): void,
+};
+
+/** The content of the data bucket. */
+type BucketState = {
+    total: number,
+    /** Seconds the end of the event timer was extended by. */
+    extendedSeconds?: number,
+    /** The total split by source like subs, bits or donations. */
+    breakdown?: Record<string, number>,
+    /** The points of the goals, which were fulfilled after they were unlocked. */
+    fulfilled?: number[],
+};
+
+type FulfillmentConfig = {
+    /**
+     * A json file like `{ "fulfilled": [555, 11111] }` with the points of the fulfilled goals,
+     * relative to the overlay. Polled in addition to the `fulfilled` of the bucket.
+     */
+    statusFile?: string,
+    /** The badge of a goal, which was unlocked by the points, but isn't fulfilled yet. */
+    unlockedText: string,
+    /** The badge of a fulfilled goal. */
+    fulfilledText: string,
+    /** Lists the unlocked goals, which aren't fulfilled yet, below the goals. ?view=outstanding shows the list only. */
+    outstandingList: boolean,
+    outstandingTitle: string,
+};
+
+type FulfillmentState = "unlocked" | "fulfilled";
+
+/** A received total of the bucket, to calculate the points per hour. */
+type RateSample = {
+    /** Milliseconds since the epoch. */
+    at: number,
+    total: number,
+};
+
+type EtaConfig = {
+    /** Shows the estimated time until the active goal is reached. */
+    enabled: boolean,
+    /** Milliseconds of history the points per hour are calculated of. */
+    window: number,
+    /** Milliseconds the history has to cover, before an estimate is shown. */
+    minHistory: number,
+    /** Between 0 and 1, lower values change the rate slower. */
+    smoothing: number,
+    /** The estimate is hidden below this points per hour. */
+    minRate: number,
+    /** Milliseconds, longer estimates are hidden. */
+    maxEta: number,
+    /** Supports '{time}' and '{rate}' for the points per hour. */
+    text: string,
+    /** Supports '{minutes}'. */
+    minutesText: string,
+    /** Supports '{hours}' and '{minutes}'. */
+    hoursText: string,
+};
+
+type TimerDisplay = "countdown" | "elapsed";
+
+type TimerConfig = {
+    /** The start of the event as ISO timestamp like "2025-11-14T18:00:00+01:00". */
+    start?: string,
+    /** The planned end of the event as ISO timestamp, before any extension of the bucket. */
+    end: string,
+    /** Shows the remaining time until the end or the time since the start. */
+    display: TimerDisplay,
+    /** Shown before the start, '{time}' is replaced with the time until the start. */
+    upcomingText: string,
+    /** Shown while the event is running, '{time}' is replaced with the displayed time. */
+    runningText: string,
+    endedText: string,
+    /** Switches the scroller into the results, when the event ended. */
+    results: boolean,
+};
+
+type TimerState =
+    { phase: "upcoming", remaining: number }
+    | { phase: "running", elapsed: number | null, remaining: number }
+    | { phase: "ended" };
+
+/** A recorded or scripted state of the bucket for ?simulate= */
+type SimulationStep = BucketState & {
+    /** Milliseconds since the start of the simulation. */
+    at: number,
+};
+
+/** The messages between the goal editor and the overlay embedded with ?preview. */
+type PreviewMessage =
+    { type: "goal-editor:ready" }
+    | { type: "goal-editor:config", config: unknown }
+    | { type: "goal-editor:points", total: number };
+
+/** The commands of the remote control to the overlay. */
+type RemoteCommand =
+    { type: "pause" }
+    | { type: "resume" }
+    /** Added to the points of the bucket, to correct them manually. */
+    | { type: "setPointsOffset", points: number }
+    /** Shows the goal as the active one and pauses, until the scrolling is resumed. */
+    | { type: "jumpToGoal", index: number }
+    | { type: "refresh" }
+    | { type: "celebrate", index: number }
+    | { type: "highlight", index: number | null }
+    | { type: "setHidden", hidden: boolean };
+
+/** The state of the overlay, reported to the remote control. */
+type RemoteStatus = {
+    paused: boolean,
+    pointsOffset: number,
+    hidden: boolean,
+    highlightedGoal: number | null,
+    /** The points including the offset. */
+    totalPoints: number | null | undefined,
+    doneIndex: number | null,
+};
+
+type RemoteMessageContent =
+    { type: "remote:query" }
+    | { type: "remote:command", command: RemoteCommand }
+    | { type: "remote:status", status: RemoteStatus };
+
+type RemoteMessage = RemoteMessageContent & {
+    /** Unique, to receive a message only once via the local channel and the relay. */
+    id: string,
+};
+
+/** The part of the remote control, which is kept across reloads of the overlay. */
+type RemoteState = {
+    paused: boolean,
+    pointsOffset: number,
+    hidden: boolean,
+};
+
+type RemoteConfig = {
+    /**
+     * A websocket endpoint repeating every message to all other connections, encrypted like the bucket url.
+     * The messages are encrypted with the key too, so only the owners of the key can send commands.
+     */
+    encryptedRelayUrl: EncryptedText,
+};
+
+type StateLoaderHandlers = {
+    onState(state: BucketState): void,
+    /** Called for every received state and for every established push connection. */
+    onSuccess(): void,
+    onFailure(reason: unknown): void,
+    /** Called for every state rejected because of its signature. */
+    onInvalidSignature(): void,
+    /** Writes noteworthy connection events into the connection log. */
+    log(message: string): void,
+};
+
+type CelebrationConfig = {
+    /** The text of the banner. true shows the goal text. */
+    banner?: string | boolean,
+    confetti?: boolean,
+    /** The url of an audio file, relative to the overlay. */
+    audio?: string,
+    /** The volume of the audio between 0 and 1. */
+    volume?: number,
+    /** Milliseconds until the next celebration may start. */
+    holdDuration?: number,
+};
+
+/** A text for every language, or a plain string for all languages. */
+type LocalizedText = string | Record<string, string>;
+
+type GoalTexts = {
+    text: string,
+    subtext?: string,
+};
+
+type LocalizedGoalTexts = {
+    text: LocalizedText,
+    subtext?: LocalizedText,
+};
+
+type GoalConfig = {
+    points: number,
+    /** Required, unless the texts are encrypted. */
+    text?: LocalizedText,
+    subtext?: LocalizedText,
+    /** Masks the goal until the previous goal is done. */
+    hidden?: boolean,
+    /** The LocalizedGoalTexts as json, encrypted with the key of the overlay. Keeps the texts out of the public config. */
+    encrypted?: EncryptedText,
+    /** Played once when the goal was done. */
+    celebration?: CelebrationConfig,
+};
+
+/** The data key, wrapped for the key of a single moderator. */
+type KeyRecipient = {
+    /** The name of the moderator, to find the entry again when revoking it. */
+    id: string,
+    wrappedKey: { iv: string, data: string },
+};
+
+type Config = {
+    encryptedBucketUrl: EncryptedText,
+    /**
+     * Everything is encrypted with a data key, which is wrapped for the key of every moderator.
+     * Without recipients, the key of the url is the data key itself.
+     */
+    recipients?: KeyRecipient[],
+    /** The caption in front of the counter. */
+    title: LocalizedText,
+    /**
+     * The locale used to format numbers and the preferred language of the texts.
+     * Uses the browser default if undefined. Overwritten by ?lang=
+     */
+    locale: string | undefined,
+    numberFormat: {
+        /** Decimals of the counter and the current points of the progress. */
+        decimals: number,
+        /** Replaces the thousands separator of the locale. null keeps the one of the locale. */
+        thousandsSeparator: string | null,
+    },
+    counter: {
+        /** Milliseconds to count up to a new total. 0 disables the counting. */
+        tweenDuration: number,
+        easing: CounterEasing,
+    },
+    /** The points shown until the first fetch finished. */
+    initialTotalPoints: number,
+    /** Number of goals in the window, "all" shows every goal without scrolling. Overwritten by ?visibleGoals= */
+    visibleGoalCount: number | "all",
+    /** Overwritten by ?layout= */
+    layout: Layout,
+    /** The colors, the font and the decorations. Overwritten by ?theme= */
+    theme: Theme,
+    intervals: {
+        /** Milliseconds between two fetches of the points. */
+        fetch: number,
+        /** Milliseconds between two checks of the version.json. */
+        pageRefresh: number,
+    },
+    animation: {
+        /** Milliseconds of the scroll transition of one goal. */
+        scrollDuration: number,
+    },
+    catchUp: {
+        /**
+         * How to handle an update which crosses more goals than the threshold.
+         * - off: Scroll through every goal one by one.
+         * - skip: Jump in front of the target and only scroll the last goal.
+         * - compress: Scroll through every goal with the compressed duration.
+         */
+        mode: CatchUpMode,
+        /** Number of goals the scroller may be behind before catching up. */
+        threshold: number,
+        /** Milliseconds of the scroll transition of one goal while compressing. */
+        compressedScrollDuration: number,
+        /** The summary of the crossed goals, '{count}' is replaced with the number of goals. */
+        summaryText: string,
+        /** Milliseconds the summary stays visible after the scroller caught up. */
+        summaryDuration: number,
+    },
+    connection: {
+        /** The backoff of the polling after a failed fetch. */
+        retry: BackoffConfig,
+        /** Milliseconds of failed fetches until the offline badge is shown. */
+        offlineBadgeDelay: number,
+        offlineText: string,
+    },
+    hiddenGoals: {
+        /** Replaces the text of a hidden goal. */
+        text: string,
+        /** Replaces the points of a hidden goal. */
+        points: string,
+    },
+    /** Pushes the totals instead of polling them. Polls while the push connection is down. */
+    push?: PushConfig,
+    /** Proves that the states come from our backend, the encryption only hides the bucket url. */
+    signature?: SignatureConfig,
+    breakdown: {
+        /** Milliseconds each figure of the total and its sources is shown, 0 shows the total only. */
+        cycle: number,
+        /** The titles of the sources of the breakdown, otherwise the name of the source is shown. */
+        labels: Record<string, string>,
+    },
+    /** The countdown or elapsed time of the event in the points container. */
+    timer?: TimerConfig,
+    /** Lets the remote control reach the overlay from another machine. */
+    remote?: RemoteConfig,
+    /** Tracks, whether the unlocked goals were fulfilled yet. */
+    fulfillment?: FulfillmentConfig,
+    /** The estimated time until the active goal is reached, from the recent points per hour. */
+    eta: EtaConfig,
+    progress: {
+        /** Shows the progress towards the active goal. */
+        enabled: boolean,
+        /** The progress text, supports '{current}', '{target}', '{remaining}' and '{percent}'. */
+        text: string,
+    },
+    goals: GoalConfig[],
+};
 
 type GoalState = keyof {
     active: true,
@@ -15,7 +366,6 @@ type ScrollerAnimationVariant<TType extends string, TAdditional = {}> = {
     /** The direction where each goal element should be moving. */
     type: TType,
     doneIndex: number | null;
-    activeTimeout?: number;
 } & TAdditional;
 
 type ScrollerAnimation =
@@ -25,17 +375,87 @@ type ScrollerAnimation =
     | ScrollerAnimationVariant<"upwards:end">
     | ScrollerAnimationVariant<"downwards:begin">
     | ScrollerAnimationVariant<"downwards:moving">
-    | ScrollerAnimationVariant<"downwards:end">;
+    | ScrollerAnimationVariant<"downwards:end">
+    /** The event ended, the window shows the reached goals. */
+    | ScrollerAnimationVariant<"results">;
 
 type GoalAnimation = "up" | "down" | "clear" | "no-box-shadow";
 
 type Goal = {
-    config: Config['goals'][0],
+    config: GoalConfig,
     element?: HTMLDivElement,
+    celebrated?: boolean,
+    /** The texts of the encrypted goal config. */
+    decrypted?: LocalizedGoalTexts,
+    /** true, once a hidden goal was shown unmasked. */
+    revealed?: boolean,
+};
+
+type CatchUp = {
+    /** The doneIndex (-1 for none) before catching up started. */
+    startIndex: number,
+    /** false, if the target is reached and only the summary is visible. */
+    active: boolean,
+    hideTimeout?: number,
+};
+
+/** The timers of the scroller, replaceable by a fake clock. */
+type Clock = {
+    setTimeout: (callback: () => void, ms: number) => number,
+    clearTimeout: (timeout: number | undefined) => void,
+};
+
+type ScrollerSettings = {
+    goalCount: number,
+    visibleGoalCount: number,
+    /** Milliseconds of the scroll transition of one goal. */
+    scrollDuration: number,
+    catchUp: Config['catchUp'],
+};
+
+type ScrollerStep = {
+    animation: ScrollerAnimation,
+    /** true, if the scroller has to wait for the transition before the next step. */
+    wait: boolean,
+    /** The goals which got done by this step. */
+    doneGoals: number[],
+    catchUp?: "begin" | "finish",
+};
+
+type GoalPlacement = {
+    state: GoalState,
+    /** The position inside of the goals container. */
+    position: number,
+    animation?: GoalAnimation,
+};
+
+type Scroller = {
+    getAnimation: () => ScrollerAnimation,
+    getCatchUp: () => CatchUp | null,
+    /** true, while the scroll transitions use the compressed duration. */
+    isCompressing: () => boolean,
+    update: (targetDoneIndex: number | null) => void,
+    /** Switches into the results, as soon as the scroller reached its target. */
+    setFinished: (finished: boolean) => void,
+    /** true, while a step is animated or the scroller waits for the next step. */
+    isMoving: () => boolean,
+    /** Replaces the settings and the done goal of the changed goals. Only allowed, while the scroller doesn't move. */
+    reconfigure: (settings: ScrollerSettings, doneIndex: number | null) => void,
+    /** undefined, if the goal is outside of the visible window. */
+    placeGoal: (index: number) => GoalPlacement | undefined,
+};
+
+type CounterTween = {
+    /** The currently displayed value, null until the first value is known. */
+    displayed: number | null,
+    from: number,
+    to: number,
+    startTime: DOMHighResTimeStamp,
+    frame?: number,
 };
 
 type UIModel = {
     totalPoints: number | null,
+    breakdown: Record<string, number> | null,
     goals: Goal[],
-    animation: ScrollerAnimation,
 };
@@ -0,0 +1,85 @@
+/// @ts-check
+/// <reference path="./index.d.ts" />
+
+'use strict';
+
+/** @returns {value is string} */
+export function isSupportedLocale(/** @type {unknown} */ value) {
+    if (typeof value !== "string")
+        return false;
+
+    try {
+        return Intl.NumberFormat.supportedLocalesOf(value).length > 0;
+    } catch {
+        return false;
+    }
+}
+
+/** @returns {value is LocalizedText} */
+export function isLocalizedText(/** @type {unknown} */ value) {
+    if (typeof value === "string")
+        return value !== '';
+
+    if (!value || typeof value !== "object" || Array.isArray(value))
+        return false;
+
+    const texts = Object.values(value);
+    return texts.length > 0 && texts.every(x => typeof x === "string" && x !== '');
+}
+
+/**
+ * Orders the languages by preference, each followed by its base language.
+ * "de-AT" and "en" result in ["de-AT", "de", "en"]. Invalid languages are skipped.
+ * @param {(string | null | undefined)[]} preferred
+ * @returns {string[]}
+ */
+export function createLanguageChain(preferred) {
+    /** @type {string[]} */
+    const languages = [];
+    for (const language of preferred) {
+        if (!language)
+            continue;
+
+        let canonical;
+        try {
+            [canonical] = Intl.getCanonicalLocales(language);
+        } catch {
+            continue;
+        }
+
+        for (const candidate of [canonical, canonical.split('-')[0]]) {
+            if (!languages.includes(candidate)) {
+                languages.push(candidate);
+            }
+        }
+    }
+
+    return languages;
+}
+
+/**
+ * Picks the text of the first language of the chain, which has a text.
+ * Regional texts like "en-US" are used for their base language "en" as well.
+ * Falls back to the first text, if none of the languages has one.
+ * @param {LocalizedText} text
+ * @param {string[]} languages
+ * @returns {string}
+ */
+export function localize(text, languages) {
+    if (typeof text === "string")
+        return text;
+
+    const entries = Object.entries(text);
+    const normalize = (/** @type {string} */ language) => language.toLowerCase();
+    for (const language of languages.map(normalize)) {
+        const exact = entries.find(([key]) => normalize(key) === language);
+        if (exact)
+            return exact[1];
+
+        const regional = entries.find(([key]) => normalize(key).split('-')[0] === language);
+        if (regional)
+            return regional[1];
+    }
+
+    return entries[0]?.[1] ?? '';
+}
@@ -0,0 +1,91 @@
+/// @ts-check
+/// <reference path="./index.d.ts" />
+
+'use strict';
+
+const hour = 60 * 60 * 1000;
+
+/**
+ * Appends the total to the history and drops the samples outside of the window.
+ * A lower total was corrected or reverted, so the older samples would only distort the rate.
+ * @param {RateSample[]} samples Ordered by their time.
+ * @param {RateSample} sample
+ * @param {number} window Milliseconds of history to keep.
+ * @returns {RateSample[]}
+ */
+export function addSample(samples, sample, window) {
+    const last = samples[samples.length - 1];
+    if (last && (sample.total < last.total || sample.at < last.at))
+        return [sample];
+
+    return [...samples.filter(x => sample.at - x.at <= window), sample];
+}
+
+/**
+ * Calculates the points per hour since the oldest sample.
+ * Measures until now instead of the latest sample, so the rate drops while no points come in.
+ * @param {RateSample[]} samples
+ * @param {number} now Milliseconds since the epoch.
+ * @param {number} minHistory Milliseconds the samples have to cover for a meaningful rate.
+ * @returns {number | null} null, if the history is too short.
+ */
+export function calculateRate(samples, now, minHistory) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    if (!first || !last)
+        return null;
+
+    const span = now - first.at;
+    if (span < minHistory || span <= 0)
+        return null;
+
+    return (last.total - first.total) / span * hour;
+}
+
+/**
+ * Moves the previous rate towards the new one, so a single large donation doesn't make the estimate jump.
+ * @param {number | null} previous
+ * @param {number | null} rate
+ * @param {number} smoothing Between 0 and 1, 1 takes the new rate as it is.
+ * @returns {number | null}
+ */
+export function smoothRate(previous, rate, smoothing) {
+    if (previous === null || rate === null)
+        return rate;
+
+    return previous + (rate - previous) * smoothing;
+}
+
+/**
+ * Estimates the milliseconds until the remaining points are reached.
+ * @param {number} remaining
+ * @param {number | null} rate Points per hour.
+ * @param {{ minRate: number, maxEta: number }} limits
+ * @returns {number | null} null, if the rate is too low for a meaningful estimate.
+ */
+export function estimateDuration(remaining, rate, { minRate, maxEta }) {
+    if (rate === null || rate < minRate || rate <= 0 || remaining <= 0)
+        return null;
+
+    const duration = remaining / rate * hour;
+    return duration > maxEta ? null : duration;
+}
+
+/**
+ * Formats the estimate roughly, because it is only an estimate:
+ * by the minute up to 10 minutes, otherwise by 5 minutes.
+ * @param {number} ms
+ * @param {Pick<EtaConfig, 'minutesText' | 'hoursText'>} texts
+ */
+export function formatEta(ms, { minutesText, hoursText }) {
+    const exactMinutes = Math.max(1, Math.ceil(ms / 60000));
+    const totalMinutes = exactMinutes <= 10 ? exactMinutes : Math.round(exactMinutes / 5) * 5;
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (hours === 0)
+        return minutesText.replace('{minutes}', `${minutes}`);
+
+    return hoursText
+        .replace('{hours}', `${hours}`)
+        .replace('{minutes}', String(minutes).padStart(2, '0'));
+}
@@ -0,0 +1,220 @@
+/// @ts-check
+/// <reference path="./index.d.ts" />
+
+import * as crypto from "./crypto.mjs";
+
+'use strict';
+
+const settings = {
+    channelName: 'goal-scroller-remote',
+    storageKey: 'goal-scroller-remote-message',
+    /** The ids of the latest messages, to ignore a message received via the local channel and the relay. */
+    maxSeenIds: 100,
+    /** Milliseconds, older relayed messages are rejected, so a recorded command can't be replayed later. */
+    maxRelayedAge: 5 * 60 * 1000,
+    reconnect: {
+        initialDelay: 1000,
+        maxDelay: 30000,
+    },
+};
+
+/** @returns {value is Record<string, unknown>} */
+function isObject(/** @type {unknown} */ value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function isGoalIndex(/** @type {unknown} */ value) {
+    return typeof value === "number" && Number.isInteger(value) && value >= 0;
+}
+
+/** @returns {value is RemoteCommand} */
+export function isRemoteCommand(/** @type {unknown} */ value) {
+    if (!isObject(value))
+        return false;
+
+    switch (value.type) {
+        case "pause":
+        case "resume":
+        case "refresh":
+            return true;
+        case "setPointsOffset":
+            return typeof value.points === "number" && Number.isFinite(value.points);
+        case "jumpToGoal":
+        case "celebrate":
+            return isGoalIndex(value.index);
+        case "highlight":
+            return value.index === null || isGoalIndex(value.index);
+        case "setHidden":
+            return typeof value.hidden === "boolean";
+        default:
+            return false;
+    }
+}
+
+/** @returns {value is RemoteMessage} */
+function isRemoteMessage(/** @type {unknown} */ value) {
+    if (!isObject(value) || typeof value.id !== "string")
+        return false;
+
+    switch (value.type) {
+        case "remote:query":
+            return true;
+        case "remote:command":
+            return isRemoteCommand(value.command);
+        case "remote:status":
+            return isObject(value.status);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Connects the overlays and the remote control. The messages are sent to the pages of the
+ * same browser via a BroadcastChannel (or the localStorage, if it isn't supported)
+ * and to all pages connected to the optional websocket relay, which repeats every message to the others.
+ * Anyone who knows the relay url could send commands, so the relayed messages are encrypted with the key,
+ * which authenticates them with AES-GCM. The others are ignored.
+ * @param {{
+ *   relay?: { url: string, key: CryptoKey },
+ *   onMessage: (message: RemoteMessage) => void,
+ *   onRelayChange?: (connected: boolean) => void,
+ * }} options
+ */
+export function createRemoteChannel({ relay: relayOptions, onMessage, onRelayChange }) {
+    /** @type {string[]} */
+    const seenIds = [];
+
+    function receive(/** @type {unknown} */ message) {
+        if (!isRemoteMessage(message) || seenIds.includes(message.id))
+            return;
+
+        seenIds.push(message.id);
+        seenIds.splice(0, seenIds.length - settings.maxSeenIds);
+        onMessage(message);
+    }
+
+    const local = (function () {
+        if (typeof BroadcastChannel === "function") {
+            const channel = new BroadcastChannel(settings.channelName);
+            channel.onmessage = event => receive(event.data);
+            return {
+                post: (/** @type {RemoteMessage} */ message) => channel.postMessage(message),
+                close: () => channel.close(),
+            };
+        }
+
+        /** @param {StorageEvent} event */
+        function onStorage(event) {
+            if (event.key !== settings.storageKey || !event.newValue)
+                return;
+
+            try {
+                receive(JSON.parse(event.newValue));
+            } catch (err) {
+                console.error("Failed to parse remote message", err);
+            }
+        }
+
+        window.addEventListener('storage', onStorage);
+        return {
+            // The storage event is only fired in the other pages, if the value changed. The id makes it unique.
+            post: (/** @type {RemoteMessage} */ message) => localStorage.setItem(settings.storageKey, JSON.stringify(message)),
+            close: () => window.removeEventListener('storage', onStorage),
+        };
+    })();
+
+    const relay = (function () {
+        if (!relayOptions)
+            return;
+
+        const { url, key } = relayOptions;
+
+        async function decryptRelayed(/** @type {string} */ data) {
+            /** @type {unknown} */
+            let message;
+            try {
+                message = JSON.parse(await crypto.decrypt(JSON.parse(data), key));
+            } catch {
+                console.warn("Ignored a relayed remote message, which isn't encrypted with the key");
+                return;
+            }
+
+            const sentAt = isObject(message) ? message.sentAt : undefined;
+            if (typeof sentAt !== "number" || Math.abs(Date.now() - sentAt) > settings.maxRelayedAge) {
+                console.warn("Ignored an outdated relayed remote message");
+                return;
+            }
+
+            receive(message);
+        }
+
+        /** @type {WebSocket | undefined} */
+        let webSocket;
+        /** @type {number | undefined} */
+        let reconnectTimeout;
+        let delay = settings.reconnect.initialDelay;
+        let isClosed = false;
+
+        function open() {
+            const current = webSocket = new WebSocket(url);
+            current.onopen = function () {
+                delay = settings.reconnect.initialDelay;
+                onRelayChange?.(true);
+            };
+            current.onmessage = function (event) {
+                if (typeof event.data !== "string")
+                    return;
+
+                decryptRelayed(event.data);
+            };
+            current.onclose = function () {
+                if (webSocket !== current)
+                    return;
+
+                webSocket = undefined;
+                onRelayChange?.(false);
+                if (isClosed)
+                    return;
+
+                reconnectTimeout = setTimeout(open, delay);
+                delay = Math.min(delay * 2, settings.reconnect.maxDelay);
+            };
+        }
+
+        open();
+
+        return {
+            async post(/** @type {RemoteMessage} */ message) {
+                const current = webSocket;
+                if (current?.readyState !== WebSocket.OPEN)
+                    return;
+
+                try {
+                    const encrypted = await crypto.encrypt(JSON.stringify({ ...message, sentAt: Date.now() }), key);
+                    current.send(JSON.stringify(encrypted));
+                } catch (err) {
+                    console.error("Failed to send relayed remote message", err);
+                }
+            },
+            close() {
+                isClosed = true;
+                clearTimeout(reconnectTimeout);
+                webSocket?.close();
+            },
+        };
+    })();
+
+    return {
+        /** @param {RemoteMessageContent} content */
+        post(content) {
+            const message = /** @type {RemoteMessage} */({ ...content, id: globalThis.crypto.randomUUID() });
+            seenIds.push(message.id);
+            local.post(message);
+            relay?.post(message);
+        },
+        close() {
+            local.close();
+            relay?.close();
+        },
+    };
+}
@@ -2,21 +2,171 @@
 /// <reference path="./index.d.ts" />
 
 import * as crypto from "./crypto.mjs";
+import { validateConfig, applyConfigDefaults, matchGoalConfigs, defaults } from "./config.mjs";
+import * as transports from "./transport.mjs";
+import * as simulation from "./simulation.mjs";
+import { createRemoteChannel } from "./remote.mjs";
+import { addSample, calculateRate, smoothRate, estimateDuration, formatEta } from "./rate.mjs";
+import { createScroller, calculateDoneIndex } from "./scroller.mjs";
+import { determineTimerState, formatDuration } from "./timer.mjs";
+import { createLanguageChain, isLocalizedText, isSupportedLocale, localize } from "./localization.mjs";
 
 'use strict';
 
-const config = await (async function () {
+function setTextContentIfChanged(
+        /** @type {HTMLElement} */ element,
+        /** @type {string} */ text
+) {
+    if (element.textContent === text)
+        return;
+
+    element.textContent = text;
+}
+
+function showConfigErrors(/** @type {string[]} */ errors) {
+    setTextContentIfChanged(counterTitle, "Config error");
+    configErrors.replaceChildren(...errors.map(function (error) {
+        const element = document.createElement('p');
+        element.textContent = error;
+        return element;
+    }));
+}
+
+// The goal editor embeds the overlay with ?preview and sends the edited config and the points of its slider.
+const isPreview = new URLSearchParams(location.search).has('preview');
+
+function postPreviewMessage(/** @type {PreviewMessage} */ message) {
+    window.parent.postMessage(message, location.origin);
+}
+
+function onPreviewMessage(/** @type {(message: PreviewMessage) => void} */ handler) {
+    window.addEventListener('message', function (event) {
+        if (event.source !== window.parent || event.origin !== location.origin)
+            return;
+
+        handler(/** @type {PreviewMessage} */(event.data));
+    });
+}
+
+async function fetchConfigJson() {
     const response = await fetch('./config.json', {
         method: 'GET',
         // Ignore the disk cache and rely on the 304 Not Modified response
         cache: 'no-cache',
     });
-    const json = await response.json();
-    return /** @type {Config} */(json);
+    if (!response.ok)
+        throw new Error(`Failed to load config.json: ${response.status} ${response.statusText}`);
+
+    return /** @type {unknown} */(await response.json());
+}
+
+/**
+ * Allows multiple browser sources with different scene designs from the same config.
+ * An invalid parameter is ignored, the scene still works with the value of the config.json.
+ */
+function applySearchOverrides(/** @type {unknown} */ json) {
+    if (!json || typeof json !== "object")
+        return json;
+
+    const searchParams = new URLSearchParams(location.search);
+    /** @type {[parameter: string, field: string, parse: (value: string) => unknown][]} */
+    const parameters = [
+        ['layout', 'layout', x => x],
+        ['theme', 'theme', x => x],
+        ['visibleGoals', 'visibleGoalCount', x => x === "all" ? x : Number(x)],
+    ];
+
+    /** @type {Record<string, unknown>} */
+    const overrides = {};
+    for (const [parameter, field, parse] of parameters) {
+        const text = searchParams.get(parameter);
+        if (text === null)
+            continue;
+
+        const value = parse(text);
+        const errors = validateConfig({ [field]: value }).filter(x => x.startsWith(`'${field}'`));
+        if (errors.length > 0) {
+            console.warn(`Ignoring ?${parameter}=${text}: ${errors.join(' ')}`);
+            continue;
+        }
+
+        overrides[field] = value;
+    }
+
+    return { ...json, ...overrides };
+}
+
+const config = await (async function () {
+    /** @type {unknown} */
+    let json;
+    try {
+        if (isPreview) {
+            json = await new Promise(function (resolve) {
+                onPreviewMessage(function (message) {
+                    if (message.type === "goal-editor:config") {
+                        resolve(message.config);
+                    }
+                });
+                postPreviewMessage({ type: "goal-editor:ready" });
+            });
+        } else {
+            json = await fetchConfigJson();
+        }
+    } catch (err) {
+        showConfigErrors([`${err}`]);
+        throw err;
+    }
+
+    json = applySearchOverrides(json);
+    const errors = validateConfig(json);
+    if (errors.length > 0) {
+        showConfigErrors(errors);
+        // Stop here, the overlay can't do anything useful with a broken config.
+        throw new Error(`Invalid config.json:\n${errors.join('\n')}`);
+    }
+
+    return applyConfigDefaults(json);
 })();
 
 const isDevelopment = location.host === '127.0.0.1:5500';
 
+// Allows bilingual streams with a browser source per language from the same config.
+const searchLanguage = new URLSearchParams(location.search).get('lang');
+if (searchLanguage !== null && !isSupportedLocale(searchLanguage)) {
+    console.warn(`Ignoring the unsupported language ?lang=${searchLanguage}`);
+}
+
+/** The locale of the numbers, the language of the texts falls back to the config. */
+const locale = isSupportedLocale(searchLanguage) ? searchLanguage : config.locale;
+const languages = createLanguageChain([locale, config.locale]);
+
+/**
+ * Formats a number with the selected locale and the configured thousands separator.
+ * The value is truncated instead of rounded, so a goal is never shown as reached too early.
+ * @param {number} value
+ * @param {number} [decimals]
+ */
+function formatNumber(value, decimals = 0) {
+    const factor = 10 ** decimals;
+    const truncated = Math.floor(value * factor) / factor;
+    const parts = new Intl.NumberFormat(locale, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+    }).formatToParts(truncated);
+
+    const thousandsSeparator = config.numberFormat.thousandsSeparator;
+    return parts
+        .map(part => part.type === "group" && thousandsSeparator !== null ? thousandsSeparator : part.value)
+        .join('');
+}
+
+/** @type {Record<CounterEasing, (t: number) => number>} */
+const easings = {
+    linear: t => t,
+    easeOutCubic: t => 1 - (1 - t) ** 3,
+    easeInOutCubic: t => t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2,
+};
+
 function unreachable(/** @type {never} */ never) {
     return new Error(`Hit unreachable value: ${never}`);
 }
@@ -34,12 +184,58 @@ async function wait(/** @type {number} */ ms) {
     });
 }
 
+/**
+ * The settings, which are only read while the page is loaded.
+ * @type {(keyof Config)[]}
+ */
+const reloadedConfigKeys = ['encryptedBucketUrl', 'recipients', 'push', 'signature', 'intervals', 'connection', 'timer', 'locale', 'remote', 'fulfillment'];
+
+/**
+ * Applies the changed config.json to the running overlay.
+ * Reloads the page, if a setting changed which is only read while loading.
+ */
+async function reloadConfig() {
+    const json = applySearchOverrides(await fetchConfigJson());
+    const errors = validateConfig(json);
+    if (errors.length > 0) {
+        // Keep showing the goals of the previous config, instead of breaking the stream.
+        console.error(`Ignoring the invalid config.json:\n${errors.join('\n')}`);
+        return;
+    }
+
+    const newConfig = applyConfigDefaults(json);
+    if (reloadedConfigKeys.some(key => JSON.stringify(config[key]) !== JSON.stringify(newConfig[key]))) {
+        window.location.replace(document.location.toString());
+        return;
+    }
+
+    ui.applyConfig(newConfig);
+}
+
+/**
+ * The version.json contains the versions of the scripts and of the config like
+ * `{ "scripts": "...", "config": "..." }`. A plain string is the version of the scripts.
+ * A changed config.json is only applied, after its version is bumped. The commands of
+ * tools/everylunaever/bunathon2025/cli/provision.mjs do it, after the goal editor it has to be done by hand.
+ * @returns {{ scripts: string, config: string | undefined }}
+ */
+function parseVersion(/** @type {unknown} */ version) {
+    if (version && typeof version === "object" && 'config' in version) {
+        const { config, ...scripts } = version;
+        return { scripts: JSON.stringify(scripts), config: JSON.stringify(config) };
+    }
+
+    return { scripts: JSON.stringify(version), config: undefined };
+}
+
 async function pageAutoRefresh() {
-    // Automatic reload of page - checks config every minute
-    let previousText = '';
+    // Checks version.json every configured interval. A new version of the scripts or styles
+    // reloads the page, a new config is applied without the reload, so the animations keep running.
+    /** @type {{ scripts: string, config: string | undefined } | undefined} */
+    let previousVersion;
     let previousEtag = '';
     while (true) {
-        await wait(isDevelopment ? 6000 : 60000);
+        await wait(isDevelopment ? 6000 : config.intervals.pageRefresh);
 
         try {
             const response = await fetch("./version.json", {
@@ -55,19 +251,22 @@ async function pageAutoRefresh() {
                 continue;
 
             previousEtag = newEtag ?? '';
-            const newConfig = await response.json();
-            const newText = JSON.stringify(newConfig);
-            if (newText === previousText)
+            const version = parseVersion(await response.json());
+            if (!previousVersion) {
+                previousVersion = version;
                 continue;
+            }
 
-            // Config changed - refresh page
-            if (previousText === '') {
-                previousText = newText;
-                continue;
+            if (version.scripts !== previousVersion.scripts) {
+                window.location.replace(document.location.toString());
+                return;
             }
 
-            previousText = newText;
-            window.location.replace(document.location.toString());
+            const isConfigChanged = version.config !== previousVersion.config;
+            previousVersion = version;
+            if (isConfigChanged) {
+                await reloadConfig();
+            }
         } catch (err) {
             console.error("pageAutoRefresh", err);
             continue;
@@ -75,59 +274,139 @@ async function pageAutoRefresh() {
     }
 };
 
-pageAutoRefresh();
+if (!isPreview) {
+    pageAutoRefresh();
+}
 
-async function createStateLoader() {
-    async function tryLoadKeyFromSearch() {
-        const base64 = new URLSearchParams(location.search).get('key');
-        if (!base64 || base64.length < 43 || base64.length > 44)
-            return;
+async function tryLoadKeyFromSearch() {
+    const base64 = new URLSearchParams(location.search).get('key');
+    if (!base64 || base64.length < 43 || base64.length > 44)
+        return;
 
-        try {
-            return await crypto.importKey(base64);
-        } catch {
+    try {
+        // The key of a moderator only unwraps the data key, unless the config has no recipients.
+        return await crypto.resolveDataKey(config.recipients, await crypto.importKey(base64));
+    } catch {
 
-        }
     }
+}
 
+/**
+ * Creates the transport, which delivers every new state of the bucket to the handlers.
+ * It pushes the states if configured and falls back to polling while the push connection is down.
+ * @returns {Promise<Transport>}
+ */
+async function createStateLoader(
+        /** @type {CryptoKey} */ key,
+        /** @type {StateLoaderHandlers} */ handlers) {
     // We don't want to have the bucket url public for everyone, because they could mess with our data.
     // So we protect it with a symmetric key, so only a limited group of user can access it.
-    // This was created together with the key via crypto.initialize.
+    // This is created together with the key via tools/everylunaever/bunathon2025/cli/provision.mjs.
     const encryptedBucketUrl = config.encryptedBucketUrl;
 
-    const key = await tryLoadKeyFromSearch();
-    if (!key) return;
-
     const url = await crypto.decrypt(encryptedBucketUrl, key);
 
-    return async function () {
-        try {
-            let fetchUrl = url;
-            if (isDevelopment) {
-                fetchUrl = './debug-points.json';
-            }
+    // The debug-points.json isn't signed, so the signature is only checked for the real bucket.
+    const verifyKey = config.signature && !isDevelopment
+        ? await crypto.importVerifyKey(config.signature.publicKey)
+        : undefined;
+
+    /**
+     * Rejects the states without the signature of our backend,
+     * because anyone who knows the bucket url could write into the bucket.
+     * @returns {Promise<BucketState | null>}
+     */
+    async function parseState(/** @type {string} */ text) {
+        if (!verifyKey)
+            return transports.parseBucketState(JSON.parse(text));
+
+        const payload = await crypto.verifyPayload(text, verifyKey);
+        if (payload === null) {
+            handlers.onInvalidSignature();
+            return null;
+        }
 
-            const response = await fetch(fetchUrl);
-            if (!response.ok)
-                return null;
+        return transports.parseBucketState(JSON.parse(payload));
+    }
+
+    async function fetchState() {
+        let fetchUrl = url;
+        if (isDevelopment) {
+            fetchUrl = './debug-points.json';
+        }
 
-            const body = /** @type {unknown} */(await response.json());
-            if (!body
-                || typeof body !== "object"
-                || Array.isArray(body)
-                || !('total' in body))
-                return null;
+        const response = await fetch(fetchUrl);
+        if (!response.ok)
+            throw new Error(`Failed to fetch points value: ${response.status} ${response.statusText}`);
 
-            const total = body.total;
-            if (typeof total !== "number")
-                return null;
+        const state = await parseState(await response.text());
+        if (state === null)
+            throw new Error("Failed to fetch points value: The response has no numeric total or an invalid signature");
 
-            return total;
-        } catch (err) {
-            console.error("Failed to fetch points value", err);
-            return null;
+        return state;
+    }
+
+    function onState(/** @type {BucketState} */ state) {
+        handlers.onSuccess();
+        handlers.onState(state);
+    }
+
+    const polling = transports.createPollingTransport({
+        fetchState,
+        interval: isDevelopment ? 1000 : config.intervals.fetch,
+        retry: config.connection.retry,
+        onState,
+        onFailure: handlers.onFailure,
+    });
+
+    const push = await (/** @returns {Promise<{ type: PushType, url: string, reconnect: BackoffConfig } | undefined>} */ async function () {
+        if (isDevelopment) {
+            // Use the local stand-in server of debug-push-server.mjs via ?push=sse or ?push=websocket
+            const reconnect = config.push?.reconnect ?? defaults.push.reconnect;
+            switch (new URLSearchParams(location.search).get('push')) {
+                case "sse": return { type: "sse", url: 'http://127.0.0.1:5501/events', reconnect };
+                case "websocket": return { type: "websocket", url: 'ws://127.0.0.1:5501/', reconnect };
+            }
         }
-    };
+
+        if (!config.push)
+            return;
+
+        return {
+            type: config.push.type,
+            url: await crypto.decrypt(config.push.encryptedUrl, key),
+            reconnect: config.push.reconnect,
+        };
+    })();
+
+    if (!push)
+        return polling;
+
+    return transports.createPushWithFallbackTransport({
+        createPush(onConnectionChange) {
+            const options = {
+                url: push.url,
+                reconnect: push.reconnect,
+                parseState,
+                onState,
+                onConnectionChange(/** @type {boolean} */ connected) {
+                    if (connected) {
+                        handlers.log("Push connection established");
+                        handlers.onSuccess();
+                    } else {
+                        handlers.log("Push connection lost, polling until it is reconnected");
+                    }
+                    onConnectionChange(connected);
+                },
+            };
+            switch (push.type) {
+                case "sse": return transports.createEventSourceTransport(options);
+                case "websocket": return transports.createWebSocketTransport(options);
+                default: throw unreachable(push.type);
+            }
+        },
+        fallback: polling,
+    });
 }
 
 /**
@@ -153,305 +432,729 @@ function loadGoalsFromConfig() {
  * @param {number} points
  * @returns {number | null}
  */
-function calculateDoneIndex(points) {
-    const index = config.goals.findLastIndex(x => x.points <= points);
-    return index < 0 ? null : index;
+function calculateConfigDoneIndex(points) {
+    return calculateDoneIndex(config.goals.map(x => x.points), points);
 }
 
 /**
- * @param {number} initialPoints
- * @returns {ScrollerAnimation}
+ * Replays a timeline instead of loading the bucket, to rehearse the scenes before going live.
+ * @param {string} simulate The name of a built-in scenario or the url of a recorded timeline.
+ * @param {(state: BucketState) => void} onState
+ * @returns {Promise<Transport>}
  */
-function initializeAnimation(initialPoints) {
-    return {
-        type: "static",
-        doneIndex: calculateDoneIndex(initialPoints),
-    };
-}
-
-function setTextContentIfChanged(
-        /** @type {HTMLSpanElement} */ element,
-        /** @type {string} */ text
-) {
-    if (element.textContent === text)
-        return;
+async function createSimulationLoader(simulate, onState) {
+    const searchParams = new URLSearchParams(location.search);
+    const speed = Number(searchParams.get('speed') ?? 1);
+
+    /** @type {SimulationStep[] | null | undefined} */
+    let steps = simulation.createScenario(simulate, config.goals.map(x => x.points));
+    if (!steps) {
+        const response = await fetch(simulate);
+        if (!response.ok)
+            throw new Error(`Failed to fetch the timeline ${simulate}: ${response.status} ${response.statusText}`);
+
+        steps = simulation.parseTimeline(await response.json());
+        if (!steps)
+            throw new Error(`${simulate} has neither steps nor events of the dashboard`);
+    }
 
-    element.textContent = text;
+    return simulation.createSimulationTransport({
+        steps,
+        speed: Number.isFinite(speed) && speed > 0 ? speed : 1,
+        loop: searchParams.has('loop'),
+        onState,
+    });
 }
 
-const ui = (function () {
+const celebrations = (function () {
     const settings = {
-        maxGoalsEntryCount: 3,
-        // The CSS Animation is exactly 2s. Give it additional 50ms, so its definitely done.
-        scrollAnimationDuration: 2050,
+        defaultHoldDuration: 4000,
+        confettiCount: 60,
     };
 
-    const maximum = Math.max(...config.goals.map(x => x.points));
+    /** @type {{ text: string, celebration: CelebrationConfig }[]} */
+    const queue = [];
+    let isPlaying = false;
 
-    let model = (/** @returns {UIModel} */ function () {
-        const initialTotalPoints = isDevelopment ? 0 : 10001;
-        return {
-            totalPoints: initialTotalPoints,
-            goals: loadGoalsFromConfig(),
-            animation: initializeAnimation(initialTotalPoints),
-        };
-    })();
+    function showBanner(
+        /** @type {string} */ text,
+        /** @type {CelebrationConfig} */ celebration) {
+        if (!celebration.banner)
+            return;
 
-    function setTotalPoints(/** @type {number | null} */ totalPoints) {
-        model.totalPoints = totalPoints;
+        const element = document.createElement('span');
+        element.className = 'banner';
+        element.textContent = celebration.banner === true ? text : celebration.banner;
+        celebrationContainer.appendChild(element);
     }
 
-    function updateScrollerAnimation() {
-        let animation = model.animation;
-        if (animation.activeTimeout)
+    function showConfetti(/** @type {CelebrationConfig} */ celebration) {
+        if (!celebration.confetti)
             return;
 
-        let totalPoints = model.totalPoints;
-        if (typeof totalPoints !== "number")
+        for (let i = 0; i < settings.confettiCount; i++) {
+            const element = document.createElement('span');
+            element.className = 'confetti';
+            element.style.setProperty('--x', `${Math.random() * 100}%`);
+            element.style.setProperty('--drift', `${(Math.random() - 0.5) * 80}px`);
+            element.style.setProperty('--hue', `${Math.floor(Math.random() * 360)}`);
+            element.style.setProperty('--delay', `${Math.random() * 1000}ms`);
+            celebrationContainer.appendChild(element);
+        }
+    }
+
+    function playAudio(/** @type {CelebrationConfig} */ celebration) {
+        if (!celebration.audio)
             return;
 
-        const currentDoneIndex = animation.doneIndex;
-        const targetDoneIndex = calculateDoneIndex(totalPoints);
+        const audio = new Audio(celebration.audio);
+        audio.volume = celebration.volume ?? 1;
+        audio.play().catch(function (err) {
+            console.error("Failed to play celebration audio", celebration.audio, err);
+        });
+    }
 
-        function setAnimation(/** @type {ScrollerAnimation} */ updated) {
-            model.animation = animation = updated;
-        }
+    async function play(
+        /** @type {string} */ text,
+        /** @type {CelebrationConfig} */ celebration) {
+        showBanner(text, celebration);
+        showConfetti(celebration);
+        playAudio(celebration);
 
-        function startAnimation() {
-            if ((currentDoneIndex ?? -1) > (targetDoneIndex ?? -1)) {
-                // Probably the calculation was improved which resulted to revert
-                // an already done goal?
-                setAnimation({
-                    type: "downwards:begin",
-                    doneIndex: currentDoneIndex,
-                });
-            } else {
-                // Finish next goal
-                setAnimation({
-                    type: "upwards:begin",
-                    doneIndex: (currentDoneIndex ?? -1) + 1,
-                });
-            }
-        }
+        await wait(celebration.holdDuration ?? settings.defaultHoldDuration);
 
-        // Write out every possible state, to be easier to reason about
-        switch (animation.type) {
-            case "static":
-                if (currentDoneIndex === targetDoneIndex)
-                    // Already on correct index
-                    return;
+        celebrationContainer.replaceChildren();
+    }
 
-                startAnimation();
-                break;
+    async function playQueue() {
+        if (isPlaying)
+            return;
 
-            case "upwards:end":
-                setAnimation({
-                    type: "static",
-                    doneIndex: animation.doneIndex,
-                });
-                if (currentDoneIndex === targetDoneIndex)
-                    return;
+        isPlaying = true;
+        try {
+            let entry;
+            while ((entry = queue.shift())) {
+                await play(entry.text, entry.celebration);
+            }
+        } finally {
+            isPlaying = false;
+        }
+    }
 
-                break;
-            case "downwards:end":
-                setAnimation({
-                    type: "static",
-                    doneIndex: animation.doneIndex,
-                });
-                if (currentDoneIndex === targetDoneIndex)
-                    return;
+    /**
+     * Plays the celebration of the goal after all previously enqueued celebrations.
+     * Goals without a celebration are ignored.
+     */
+    function enqueue(
+        /** @type {GoalConfig} */ goalConfig,
+        /** @type {string} */ text) {
+        const celebration = goalConfig.celebration;
+        if (!celebration)
+            return;
 
-                break;
+        queue.push({ text, celebration });
+        playQueue();
+    }
 
-            case "upwards:begin":
-                setAnimation({
-                    type: "upwards:moving",
-                    doneIndex: animation.doneIndex,
-                });
-                break;
+    return {
+        enqueue,
+    };
+})();
 
-            case "upwards:moving":
-                setAnimation({
-                    type: "upwards:end",
-                    doneIndex: animation.doneIndex,
-                });
-                break;
+const connectionHealth = (function () {
+    const settings = {
+        logStorageKey: 'goal-scroller-connection-log',
+        maxLogEntries: 200,
+    };
 
-            case "downwards:begin":
-                setAnimation({
-                    type: "downwards:moving",
-                    doneIndex: animation.doneIndex,
-                });
-                break;
+    /** @type {number | null} */
+    let failingSince = null;
+    let failedAttempts = 0;
+    /** @type {number | undefined} */
+    let badgeTimeout;
 
-            case "downwards:moving":
-                setAnimation({
-                    type: "downwards:end",
-                    doneIndex: animation.doneIndex === null || animation.doneIndex === 0 ? null : animation.doneIndex - 1,
-                });
-                break;
+    /**
+     * Logs with a timestamp and keeps the latest entries in the localStorage,
+     * so they can be inspected after the stream.
+     */
+    function log(/** @type {string} */ message) {
+        const entry = `${new Date().toISOString()} ${message}`;
+        console.info(entry);
 
-            default:
-                throw unreachable(animation);
+        try {
+            const entries = /** @type {string[]} */(JSON.parse(localStorage.getItem(settings.logStorageKey) ?? '[]'));
+            entries.push(entry);
+            localStorage.setItem(settings.logStorageKey,
+                JSON.stringify(entries.slice(-settings.maxLogEntries)));
+        } catch (err) {
+            console.error("Failed to store connection log", err);
         }
+    }
 
-        // Automatically proceed after the timeout with our state machine.
-        animation.activeTimeout = setTimeout(function () {
-            animation.activeTimeout = undefined;
+    function reportSuccess() {
+        if (failingSince !== null) {
+            const seconds = Math.round((Date.now() - failingSince) / 1000);
+            log(`Recovered after ${seconds}s and ${failedAttempts} failed attempts`);
+        }
 
-            renderGoals();
-        }, settings.scrollAnimationDuration);
+        failingSince = null;
+        failedAttempts = 0;
+        clearTimeout(badgeTimeout);
+        badgeTimeout = undefined;
+        setTextContentIfChanged(connectionBadge, '');
     }
 
-    function createNewGoalElement() {
-        const result = /** @type {Element} */(goalEntryTemplate.content.cloneNode(true));
-        return /** @type {HTMLDivElement} */(result.firstElementChild);
-    }
+    function reportFailure(/** @type {unknown} */ reason) {
+        failedAttempts++;
+        log(`Failed attempt ${failedAttempts}: ${reason}`);
 
-    /** @returns {{state: GoalState, position: number, animation?: GoalAnimation} | undefined} */
-    function determineGoalInfo(
-        /** @type {number} */ index,
-        /** @type {Goal} */ goal
-    ) {
-        const scrollAnimation = model.animation;
-        const position = index - (scrollAnimation.doneIndex ?? 0);
-        if (position < -2)
+        if (failingSince !== null)
             return;
 
-        const remaining = model.goals.length - (scrollAnimation.doneIndex ?? 0);
-        const levels = (/** @returns {GoalState[] | undefined} */ function () {
-            switch (remaining) {
-                case 1:
-                    return ["completed", "completed", "completed", "completed"];
+        // Short outages are hidden from the viewers, the last known total stays visible.
+        failingSince = Date.now();
+        badgeTimeout = setTimeout(function () {
+            // Keep the warning of a rejected state, it tells more than offline.
+            if (connectionBadge.textContent !== '')
+                return;
 
-                case 2:
-                    return ["completed", "completed", "completed", "active"];
+            log("Showing offline badge");
+            setTextContentIfChanged(connectionBadge, config.connection.offlineText);
+        }, config.connection.offlineBadgeDelay);
+    }
 
-                case 3:
-                    return ["completed", "completed", "active", "upcoming"];
-            }
+    /** Shows the warning immediately, the last valid total stays visible. */
+    function reportInvalidSignature() {
+        log("Rejected a state with an invalid signature");
+        setTextContentIfChanged(connectionBadge, config.signature?.invalidText ?? '');
+    }
 
-            if (scrollAnimation.doneIndex === null && scrollAnimation.type === "downwards:end") {
-                return ["active", "active", "upcoming", "upcoming"];
-            }
-        })();
+    return {
+        log,
+        reportSuccess,
+        reportFailure,
+        reportInvalidSignature,
+    };
+})();
+
+const pointsRate = (function () {
+    const settings = {
+        storageKey: 'goal-scroller-points-history',
+    };
 
-        const elementAnimation = (/** @returns {{covered: GoalAnimation | undefined, others: GoalAnimation | undefined}} */ function () {
-            switch (scrollAnimation.type) {
-                case "static":
-                    return { covered: undefined, others: "clear" };
+    /** @type {RateSample[]} */
+    let samples = [];
+    /**
+     * The smoothed points per hour until the latest total.
+     * @type {number | null}
+     */
+    let previousRate = null;
+    let isPersistent = false;
+
+    /**
+     * The rate is measured until now, so it drops while no points come in.
+     * Calculated on every call instead of only for a new total, otherwise the estimate would stand still in between.
+     */
+    function getRate(/** @type {number} */ now) {
+        return smoothRate(previousRate, calculateRate(samples, now, config.eta.minHistory), config.eta.smoothing);
+    }
 
-                case "upwards:begin":
-                    return { covered: undefined, others: undefined };
+    /** @returns {RateSample[]} */
+    function loadHistory() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(settings.storageKey) ?? '[]');
+            return Array.isArray(stored)
+                ? stored.filter(x => typeof x?.at === "number" && typeof x?.total === "number")
+                : [];
+        } catch (err) {
+            console.error("Failed to load the points history", err);
+            return [];
+        }
+    }
 
-                case "upwards:moving":
-                    return { covered: undefined, others: scrollAnimation.doneIndex === 0 || remaining <= 2 ? undefined : "up" };
+    /**
+     * Keeps the history in the localStorage, so a reload doesn't reset the estimate.
+     * Only used for the totals of the bucket, a simulation must not distort the estimate of the stream.
+     */
+    function startRecording() {
+        if (!config.eta.enabled)
+            return;
 
-                case "upwards:end":
-                    return { covered: "no-box-shadow", others: scrollAnimation.doneIndex === 0 || remaining <= 2 ? undefined : "up" };
+        isPersistent = true;
+        samples = loadHistory();
+    }
 
-                // Note: truthy of scrollAnimation.doneIndex is the same as 'scrollAnimation.doneIndex !== null && scrollAnimation.doneIndex !== 0'
-                case "downwards:begin":
-                    return { covered: "no-box-shadow", others: scrollAnimation.doneIndex && remaining > 2 ? "down" : undefined };
+    function addTotal(/** @type {number} */ total) {
+        if (!config.eta.enabled)
+            return;
 
-                case "downwards:moving":
-                    return { covered: undefined, others: scrollAnimation.doneIndex && remaining > 2 ? "down" : undefined };
+        const now = Date.now();
+        previousRate = getRate(now);
+        samples = addSample(samples, { at: now, total }, config.eta.window);
 
-                case "downwards:end":
-                    return { covered: "no-box-shadow", others: scrollAnimation.doneIndex && remaining > 2 ? "clear" : undefined };
+        if (!isPersistent)
+            return;
 
-                default:
-                    throw unreachable(scrollAnimation);
-            }
-        })();
-
-        const picker = position + (remaining <= 3 ? 3 - remaining : 0);
-        const positionOffset = (scrollAnimation.doneIndex ?? -1) >= 1 && remaining >= 3 ? 1 : 0;
-
-        switch (scrollAnimation.type) {
-            case "static":
-                if (scrollAnimation.doneIndex === null) {
-                    switch (picker) {
-                        case 0: return { state: levels?.[picker + 1] ?? "active", position: picker, animation: elementAnimation.others };
-                        case 1: return { state: levels?.[picker + 1] ?? "upcoming", position: picker, animation: elementAnimation.others };
-                        case 2: return { state: levels?.[picker + 1] ?? "upcoming", position: picker, animation: elementAnimation.others };
-                        default: return;
-                    }
-                } else {
-                    switch (picker) {
-                        case 0: return { state: levels?.[picker + 1] ?? "completed", position: picker, animation: elementAnimation.others };
-                        case 1: return { state: levels?.[picker + 1] ?? "active", position: picker, animation: elementAnimation.others };
-                        case 2: return { state: levels?.[picker + 1] ?? "upcoming", position: picker, animation: elementAnimation.others };
-                        default: return;
-                    }
-                }
+        try {
+            localStorage.setItem(settings.storageKey, JSON.stringify(samples));
+        } catch (err) {
+            console.error("Failed to store the points history", err);
+        }
+    }
 
-            case "upwards:begin":
-            case "upwards:moving":
-            case "upwards:end":
-            case "downwards:begin":
-            case "downwards:moving":
-            case "downwards:end":
-                switch (picker) {
-                    case -1:
-                        if (remaining <= 2) return;
-                        return { state: levels?.[picker + 1] ?? "completed", position: picker + positionOffset, animation: elementAnimation.covered };
-                    case 0:
-                        return { state: levels?.[picker + 1] ?? "completed", position: picker + positionOffset, animation: elementAnimation.others };
-
-                    case 1: return { state: levels?.[picker + 1] ?? "active", position: picker + positionOffset, animation: elementAnimation.others };
-                    case 2: return { state: levels?.[picker + 1] ?? "upcoming", position: picker + positionOffset, animation: elementAnimation.others };
-                    default: return;
-                }
+    /** @returns {string} The estimated time until the remaining points are reached, empty if it isn't meaningful. */
+    function formatEstimate(/** @type {number} */ remaining) {
+        if (!config.eta.enabled)
+            return '';
 
+        const rate = getRate(Date.now());
+        const duration = estimateDuration(remaining, rate, config.eta);
+        if (duration === null)
+            return '';
 
-            default:
-                throw unreachable(scrollAnimation);
-        }
+        return config.eta.text
+            .replace('{time}', formatEta(duration, config.eta))
+            .replace('{rate}', formatNumber(Math.round(rate ?? 0)));
     }
 
-    function placeGoal(
-        /** @type {HTMLDivElement} */
-        element,
-        /** @type {number} */
-        position,
-    ) {
-        const currentElement = goalsContainer.children[position];
-        if (currentElement == element)
+    return {
+        startRecording,
+        addTotal,
+        formatEstimate,
+    };
+})();
+
+const ui = (function () {
+    /** @returns {ScrollerSettings} */
+    function determineSettings() {
+        return {
+            goalCount: config.goals.length,
+            visibleGoalCount: config.visibleGoalCount === "all"
+                ? config.goals.length
+                : Math.min(config.visibleGoalCount, config.goals.length),
+            scrollDuration: config.animation.scrollDuration,
+            catchUp: config.catchUp,
+        };
+    }
+
+    let settings = determineSettings();
+
+    /** @type {Theme | undefined} */
+    let appliedTheme;
+
+    function applyTheme() {
+        if (appliedTheme === config.theme)
             return;
 
-        if (!currentElement) {
-            goalsContainer.appendChild(element);
-        } else {
-            goalsContainer.insertBefore(element, currentElement);
-        }
+        // The goals are only shown with the colors of the theme, also if the theme failed to load.
+        const theme = appliedTheme = config.theme;
+        const showTheme = () => container.setAttribute('data-theme', theme);
+        themeStylesheet.addEventListener('load', showTheme, { once: true });
+        themeStylesheet.addEventListener('error', showTheme, { once: true });
+        themeStylesheet.href = `./themes/${theme}.css?t=${new Date().getTime()}`;
+    }
 
-        element.setAttribute('data-active-transition', '');
+    function applyLayout() {
+        applyTheme();
+        document.documentElement.style.setProperty('--scroll-duration', `${config.animation.scrollDuration}ms`);
+        container.setAttribute('data-layout', config.layout);
+        container.style.setProperty('--visible-goal-count', `${settings.visibleGoalCount}`);
+        container.toggleAttribute('data-outstanding-list', !!config.fulfillment?.outstandingList);
     }
 
-    function renderGoal(
-        /** @type {number} */ index) {
-        const goal = model.goals[index];
-        const goalConfig = goal.config;
-        const info = determineGoalInfo(index, goal);
+    applyLayout();
+    if (new URLSearchParams(location.search).get('view') === "outstanding") {
+        // A separate browser source, which only lists the goals still to be fulfilled.
+        container.setAttribute('data-view', "outstanding");
+    }
+    if (languages.length > 0) {
+        document.documentElement.lang = languages[0];
+    }
 
-        if (info === undefined) {
-            if (goal.element) {
-                if (goalsContainer.contains(goal.element)) {
-                    goalsContainer.removeChild(goal.element);
-                }
-            }
-            return;
-        }
+    let maximum = Math.max(...config.goals.map(x => x.points));
 
-        if (!goal.element) {
-            const element = createNewGoalElement();;
-            element.setAttribute('data-points', `${goal.config.points}`);
-            goal.element = element;
-        }
+    const initialTotalPoints = isDevelopment ? 0 : config.initialTotalPoints;
 
-        const element = goal.element;
-        element.setAttribute('data-state', info.state);
+    /** @type {UIModel} */
+    let model = {
+        totalPoints: initialTotalPoints,
+        breakdown: null,
+        goals: loadGoalsFromConfig(),
+    };
+
+    /** 0 shows the total, otherwise the source of the breakdown before this index. */
+    let breakdownIndex = 0;
+
+    const scroller = createScroller({
+        settings,
+        initialDoneIndex: calculateConfigDoneIndex(initialTotalPoints),
+        onStep: renderGoals,
+        onGoalDone: celebrateGoal,
+    });
+
+    /** @type {CounterTween} */
+    const counter = {
+        displayed: null,
+        from: 0,
+        to: 0,
+        startTime: 0,
+    };
+
+    let isFirstTotalPoints = true;
+
+    /** The points of the bucket, before the offset of the remote control is added. */
+    let receivedTotalPoints = model.totalPoints;
+    let pointsOffset = 0;
+
+    /**
+     * The goal shown while the remote control paused the scrolling.
+     * @type {{ doneIndex: number | null } | undefined}
+     */
+    let pause;
+
+    /** @type {number | null} */
+    let highlightedGoal = null;
+
+    /**
+     * The points of the fulfilled goals, reported by the bucket and by the status file.
+     * @type {Record<"bucket" | "statusFile", number[]>}
+     */
+    const fulfilledGoals = {
+        bucket: [],
+        statusFile: [],
+    };
+
+    function setTotalPoints(/** @type {number | null} */ totalPoints) {
+        receivedTotalPoints = totalPoints;
+        updateTotalPoints();
+
+        const total = model.totalPoints;
+        if (isFirstTotalPoints && typeof total === "number") {
+            // Goals which were already done before the page was loaded, were celebrated before.
+            isFirstTotalPoints = false;
+            for (const goal of model.goals) {
+                if (goal.config.points <= total) {
+                    goal.celebrated = true;
+                }
+            }
+        }
+    }
+
+    /** Corrects the points of the bucket manually. */
+    function setPointsOffset(/** @type {number} */ points) {
+        pointsOffset = points;
+        updateTotalPoints();
+    }
+
+    function updateTotalPoints() {
+        model.totalPoints = typeof receivedTotalPoints === "number"
+            ? receivedTotalPoints + pointsOffset
+            : receivedTotalPoints;
+    }
+
+    function setFulfilledGoals(
+        /** @type {"bucket" | "statusFile"} */ source,
+        /** @type {number[]} */ points) {
+        fulfilledGoals[source] = points;
+    }
+
+    /**
+     * Goals are unlocked by the points, but fulfilled by the streamer, often days later.
+     * @returns {FulfillmentState | undefined}
+     */
+    function determineFulfillment(/** @type {number} */ index) {
+        if (!config.fulfillment)
+            return;
+
+        const points = model.goals[index].config.points;
+        if (fulfilledGoals.bucket.includes(points) || fulfilledGoals.statusFile.includes(points))
+            return "fulfilled";
+
+        if (index <= (scroller.getAnimation().doneIndex ?? -1))
+            return "unlocked";
+    }
+
+    function setBreakdown(/** @type {Record<string, number> | undefined} */ breakdown) {
+        model.breakdown = breakdown ?? null;
+    }
+
+    /** @returns {[source: string, value: number][]} The sources, which are rotated after the total. */
+    function getBreakdownSources() {
+        return Object.entries(model.breakdown ?? {}).filter(([, value]) => value !== 0);
+    }
+
+    function rotateBreakdown() {
+        const sources = getBreakdownSources();
+        breakdownIndex = sources.length === 0 ? 0 : (breakdownIndex + 1) % (sources.length + 1);
+        renderCounterValue();
+    }
+
+    /** @type {number | undefined} */
+    let breakdownInterval;
+
+    function startBreakdownRotation() {
+        clearInterval(breakdownInterval);
+        breakdownInterval = config.breakdown.cycle > 0
+            ? setInterval(rotateBreakdown, config.breakdown.cycle)
+            : undefined;
+    }
+
+    startBreakdownRotation();
+
+    /**
+     * The key of the hidden goals, to decrypt the goals of a changed config.
+     * @type {CryptoKey | undefined}
+     */
+    let decryptionKey;
+
+    /**
+     * Decrypts the texts of the hidden goals, which are kept out of the public config.json.
+     * Goals which can't be decrypted stay masked.
+     */
+    async function decryptHiddenGoals(/** @type {CryptoKey} */ key) {
+        decryptionKey = key;
+        for (const goal of model.goals) {
+            const encrypted = goal.config.encrypted;
+            if (!encrypted || goal.decrypted)
+                continue;
+
+            try {
+                const texts = JSON.parse(await crypto.decrypt(encrypted, key));
+                if (!isLocalizedText(texts?.text) || (texts.subtext !== undefined && texts.subtext !== '' && !isLocalizedText(texts.subtext)))
+                    throw new Error("The decrypted texts have no valid 'text' or 'subtext'");
+
+                goal.decrypted = {
+                    text: texts.text,
+                    subtext: texts.subtext,
+                };
+            } catch (err) {
+                console.error("Failed to decrypt hidden goal", goal.config.points, err);
+            }
+        }
+
+        renderGoals();
+    }
+
+    /**
+     * @param {Goal} goal
+     * @param {boolean} isRevealed
+     * @returns {GoalTexts}
+     */
+    function getGoalTexts(goal, isRevealed) {
+        if (goal.config.hidden && !isRevealed) {
+            return {
+                text: config.hiddenGoals.text,
+            };
+        }
+
+        const texts = goal.decrypted ?? goal.config;
+        return {
+            text: texts.text === undefined ? config.hiddenGoals.text : localize(texts.text, languages),
+            subtext: texts.subtext === undefined ? undefined : localize(texts.subtext, languages),
+        };
+    }
+
+    function celebrateGoal(/** @type {number} */ index) {
+        const goal = model.goals[index];
+        if (!goal || goal.celebrated)
+            return;
+
+        // Only celebrate once, even if the goal gets reverted and done again.
+        goal.celebrated = true;
+        celebrations.enqueue(goal.config, getGoalTexts(goal, true).text);
+    }
+
+    /**
+     * Replays the celebration of the goal, even if it was celebrated before.
+     * Goals without a celebration of their own get the banner and the confetti.
+     */
+    function replayCelebration(/** @type {number} */ index) {
+        const goal = model.goals[index];
+        if (!goal)
+            return;
+
+        celebrations.enqueue({
+            ...goal.config,
+            celebration: goal.config.celebration ?? { banner: true, confetti: true },
+        }, getGoalTexts(goal, true).text);
+    }
+
+    /** Stops the scrolling at the currently shown goal, the points are still counted. */
+    function setPaused(/** @type {boolean} */ paused) {
+        if (paused === !!pause)
+            return;
+
+        pause = paused ? { doneIndex: scroller.getAnimation().doneIndex } : undefined;
+        renderGoals();
+    }
+
+    /** Shows the goal as the active one without scrolling, and pauses until the scrolling is resumed. */
+    function jumpToGoal(/** @type {number} */ index) {
+        if (!model.goals[index])
+            return;
+
+        const doneIndex = index > 0 ? index - 1 : null;
+        pause = { doneIndex };
+        scroller.reconfigure(settings, doneIndex);
+        renderGoals();
+    }
+
+    function setHighlightedGoal(/** @type {number | null} */ index) {
+        highlightedGoal = index;
+        renderGoals();
+    }
+
+    /** @returns {Omit<RemoteStatus, 'hidden'>} */
+    function getRemoteStatus() {
+        return {
+            paused: !!pause,
+            pointsOffset,
+            highlightedGoal,
+            totalPoints: model.totalPoints,
+            doneIndex: scroller.getAnimation().doneIndex,
+        };
+    }
+
+    /** @type {Config | null} */
+    let pendingConfig = null;
+
+    /**
+     * Applies a changed config without reloading the page. The goals are changed
+     * when the scroller doesn't move, so no animation is cut off.
+     */
+    function applyConfig(/** @type {Config} */ newConfig) {
+        pendingConfig = newConfig;
+        renderGoals();
+    }
+
+    function applyPendingConfig() {
+        const newConfig = pendingConfig;
+        if (!newConfig || scroller.isMoving())
+            return;
+
+        pendingConfig = null;
+        const previousGoals = model.goals;
+        const previousDoneIndex = scroller.getAnimation().doneIndex ?? -1;
+        const matches = matchGoalConfigs(previousGoals.map(x => x.config), newConfig.goals);
+
+        // Goals which were done before stay done, the scroller continues from there to the points.
+        /** @type {number | null} */
+        let doneIndex = null;
+        model.goals = newConfig.goals.map(function (goalConfig, index) {
+            const previousIndex = matches[index];
+            if (previousIndex === undefined)
+                return { config: goalConfig };
+
+            if (previousIndex <= previousDoneIndex) {
+                doneIndex = index;
+            }
+
+            const previous = previousGoals[previousIndex];
+            return {
+                ...previous,
+                config: goalConfig,
+                decrypted: JSON.stringify(previous.config.encrypted) === JSON.stringify(goalConfig.encrypted)
+                    ? previous.decrypted
+                    : undefined,
+            };
+        });
+
+        for (const goal of previousGoals) {
+            if (goal.element && !model.goals.some(x => x.element === goal.element)) {
+                goal.element.remove();
+            }
+        }
+
+        Object.assign(config, newConfig);
+        settings = determineSettings();
+        maximum = Math.max(...config.goals.map(x => x.points));
+        applyLayout();
+        startBreakdownRotation();
+        scroller.reconfigure(settings, doneIndex);
+        if (pause) {
+            pause.doneIndex = doneIndex;
+        }
+        if (highlightedGoal !== null) {
+            const index = matches.indexOf(highlightedGoal);
+            highlightedGoal = index < 0 ? null : index;
+        }
+
+        if (decryptionKey) {
+            decryptHiddenGoals(decryptionKey);
+        }
+    }
+
+    function createNewGoalElement() {
+        const result = /** @type {Element} */(goalEntryTemplate.content.cloneNode(true));
+        return /** @type {HTMLDivElement} */(result.firstElementChild);
+    }
+
+    function placeGoal(
+        /** @type {HTMLDivElement} */
+        element,
+        /** @type {number} */
+        position,
+    ) {
+        const currentElement = goalsContainer.children[position];
+        if (currentElement == element)
+            return;
+
+        if (!currentElement) {
+            goalsContainer.appendChild(element);
+        } else {
+            goalsContainer.insertBefore(element, currentElement);
+        }
+
+        element.setAttribute('data-active-transition', '');
+    }
+
+    function renderGoal(
+        /** @type {number} */ index) {
+        const goal = model.goals[index];
+        const goalConfig = goal.config;
+        const info = scroller.placeGoal(index);
+
+        if (info === undefined) {
+            if (goal.element) {
+                if (goalsContainer.contains(goal.element)) {
+                    goalsContainer.removeChild(goal.element);
+                }
+            }
+            return;
+        }
+
+        // Hidden goals are revealed as soon as the previous goal is done.
+        const isRevealed = !goalConfig.hidden || goal.revealed || index <= (scroller.getAnimation().doneIndex ?? -1) + 1;
+
+        if (!goal.element) {
+            goal.element = createNewGoalElement();
+        } else if (isRevealed && goalConfig.hidden && !goal.revealed) {
+            // Only animate the reveal, if the masked goal was visible before.
+            const element = goal.element;
+            element.setAttribute('data-reveal', '');
+            element.addEventListener('animationend', function onAnimationEnd(event) {
+                if (event.animationName !== 'goal-reveal')
+                    return;
+
+                element.removeAttribute('data-reveal');
+                element.removeEventListener('animationend', onAnimationEnd);
+            });
+        }
+
+        goal.revealed = isRevealed;
+        const texts = getGoalTexts(goal, isRevealed);
+
+        const element = goal.element;
+        element.setAttribute('data-points', `${goalConfig.points}`);
+        element.toggleAttribute('data-hidden', !isRevealed);
+        element.toggleAttribute('data-highlighted', index === highlightedGoal);
+        element.setAttribute('data-state', info.state);
+        const fulfillment = determineFulfillment(index);
+        if (fulfillment) {
+            element.setAttribute('data-fulfillment', fulfillment);
+        } else {
+            element.removeAttribute('data-fulfillment');
+        }
         placeGoal(element, info.position);
         if (info.animation) {
             element.setAttribute('data-move', info.animation);
@@ -462,7 +1165,7 @@ const ui = (function () {
         /** @type {HTMLSpanElement | null} */
         const titleSpan = element.querySelector("span.title");
         if (titleSpan) {
-            setTextContentIfChanged(titleSpan, goalConfig.text);
+            setTextContentIfChanged(titleSpan, texts.text);
         }
 
         /** @type {HTMLDivElement | null} */
@@ -487,70 +1190,574 @@ const ui = (function () {
         /** @type {HTMLSpanElement | null} */
         const pointsSpan = element.querySelector("span.points");
         if (pointsSpan) {
-            setTextContentIfChanged(pointsSpan, goalConfig.points.toLocaleString());
+            setTextContentIfChanged(pointsSpan, isRevealed ? formatNumber(goalConfig.points) : config.hiddenGoals.points);
         }
 
         /** @type {HTMLSpanElement | null} */
         const subtextSpan = element.querySelector("span.subtext");
         if (subtextSpan) {
-            setTextContentIfChanged(subtextSpan, goalConfig.subtext ?? '');
+            setTextContentIfChanged(subtextSpan, texts.subtext ?? '');
         }
 
+        /** @type {HTMLSpanElement | null} */
+        const fulfillmentSpan = element.querySelector("span.fulfillment");
+        if (fulfillmentSpan) {
+            setTextContentIfChanged(fulfillmentSpan, fulfillment === "fulfilled" ? config.fulfillment?.fulfilledText ?? ''
+                : fulfillment === "unlocked" ? config.fulfillment?.unlockedText ?? ''
+                    : '');
+        }
+
+        renderGoalProgress(index, info.state, element);
+
         element.style.setProperty('--client-height', `${element.clientHeight}px`);
+        element.style.setProperty('--client-width', `${element.clientWidth}px`);
+        goalsContainer.style.setProperty('--goal-outer-height', `${element.offsetHeight}px`);
+    }
+
+    function renderEstimate(
+        /** @type {number} */ index,
+        /** @type {GoalState} */ state,
+        /** @type {HTMLDivElement} */ element) {
+        const totalPoints = model.totalPoints;
+
+        /** @type {HTMLSpanElement | null} */
+        const etaSpan = element.querySelector("span.eta");
+        if (etaSpan) {
+            setTextContentIfChanged(etaSpan, state === "active" && typeof totalPoints === "number"
+                ? pointsRate.formatEstimate(model.goals[index].config.points - totalPoints)
+                : '');
+        }
+    }
+
+    /** The estimate changes without new points, because the rate drops while no points come in. */
+    function renderEstimates() {
+        if (!config.eta.enabled)
+            return;
+
+        model.goals.forEach(function (goal, index) {
+            const info = scroller.placeGoal(index);
+            if (info && goal.element) {
+                renderEstimate(index, info.state, goal.element);
+            }
+        });
+    }
+
+    /**
+     * Completed goals are kept at 100% and upcoming at 0%, so the fill transitions
+     * from the correct side, when a goal gets active or gets reverted to active.
+     */
+    function renderGoalProgress(
+        /** @type {number} */ index,
+        /** @type {GoalState} */ state,
+        /** @type {HTMLDivElement} */ element) {
+        const goalConfig = model.goals[index].config;
+        const previousPoints = model.goals[index - 1]?.config.points ?? 0;
+        const totalPoints = model.totalPoints;
+
+        /** @type {HTMLSpanElement | null} */
+        const progressSpan = element.querySelector("span.progress-text");
+
+        renderEstimate(index, state, element);
+
+        if (!config.progress.enabled || state !== "active" || typeof totalPoints !== "number") {
+            element.style.setProperty('--progress', state === "completed" ? '1' : '0');
+            if (progressSpan) {
+                setTextContentIfChanged(progressSpan, '');
+            }
+            return;
+        }
+
+        const range = goalConfig.points - previousPoints;
+        const progress = Math.min(1, Math.max(0, (totalPoints - previousPoints) / range));
+        element.style.setProperty('--progress', `${progress}`);
+
+        if (progressSpan) {
+            setTextContentIfChanged(progressSpan, config.progress.text
+                .replace('{current}', formatNumber(totalPoints, config.numberFormat.decimals))
+                .replace('{target}', formatNumber(goalConfig.points))
+                .replace('{remaining}', formatNumber(Math.max(0, Math.ceil(goalConfig.points - totalPoints))))
+                .replace('{percent}', formatNumber(progress * 100)));
+        }
     }
 
     function renderGoals() {
-        updateScrollerAnimation();
+        applyPendingConfig();
 
-        goalsContainer.setAttribute('data-scroll-state', model.animation.type);
+        const totalPoints = model.totalPoints;
+        if (pause) {
+            scroller.update(pause.doneIndex);
+        } else if (typeof totalPoints === "number") {
+            scroller.update(calculateConfigDoneIndex(totalPoints));
+        }
+
+        const animation = scroller.getAnimation();
+        goalsContainer.setAttribute('data-scroll-state', animation.type);
+        if (scroller.isCompressing()) {
+            goalsContainer.style.setProperty('--scroll-duration', `${settings.catchUp.compressedScrollDuration}ms`);
+        } else {
+            goalsContainer.style.removeProperty('--scroll-duration');
+        }
+
+        const catchUp = scroller.getCatchUp();
+        const catchUpCount = catchUp ? (animation.doneIndex ?? -1) - catchUp.startIndex : 0;
+        setTextContentIfChanged(catchUpSummary, catchUpCount > 0
+            ? settings.catchUp.summaryText.replace('{count}', formatNumber(catchUpCount))
+            : '');
 
         const goals = model.goals.length;
         for (let i = 0; i < goals; i++) {
             renderGoal(i);
         }
+
+        renderOutstandingGoals();
+        updateCounter();
     }
 
-    function render() {
+    let renderedOutstandingGoals = '';
+
+    /** Lists the unlocked goals, which aren't fulfilled yet. */
+    function renderOutstandingGoals() {
+        const fulfillmentConfig = config.fulfillment;
+        if (!fulfillmentConfig)
+            return;
+
+        setTextContentIfChanged(outstandingTitle, fulfillmentConfig.outstandingTitle);
+
+        const entries = model.goals
+            .filter((_, index) => determineFulfillment(index) === "unlocked")
+            .map(goal => ({ text: getGoalTexts(goal, true).text, points: formatNumber(goal.config.points) }));
+
+        // Only replace the list if it changed, it is rendered on every step of the scroller.
+        const rendered = JSON.stringify(entries);
+        if (rendered === renderedOutstandingGoals)
+            return;
+
+        renderedOutstandingGoals = rendered;
+        outstandingList.replaceChildren(...entries.map(function (entry) {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.className = 'text';
+            text.textContent = entry.text;
+            const points = document.createElement('span');
+            points.className = 'points';
+            points.textContent = entry.points;
+            item.append(text, points);
+            return item;
+        }));
+    }
+
+    /**
+     * While the scroller is behind the points, the counter stops at the points
+     * of the goal it is scrolling to, so the counter passes each goal together with the scroll.
+     * @returns {number | null}
+     */
+    function determineCounterTarget() {
         const totalPoints = model.totalPoints;
+        if (typeof totalPoints !== "number")
+            return null;
+
+        const doneIndex = scroller.getAnimation().doneIndex;
+        if (doneIndex === null || doneIndex === calculateConfigDoneIndex(totalPoints))
+            return totalPoints;
+
+        return Math.min(totalPoints, model.goals[doneIndex].config.points);
+    }
+
+    function renderCounterValue() {
+        const totalPoints = model.totalPoints;
+        const source = typeof totalPoints === "number" ? getBreakdownSources()[breakdownIndex - 1] : undefined;
+        if (source) {
+            const [name, value] = source;
+            pointsContainer.setAttribute('data-breakdown', name);
+            setTextContentIfChanged(counterTitle, config.breakdown.labels[name] ?? name);
+            setTextContentIfChanged(counterValue, formatNumber(value, config.numberFormat.decimals));
+            return;
+        }
+
+        pointsContainer.removeAttribute('data-breakdown');
+        setTextContentIfChanged(counterTitle, localize(config.title, languages));
         if (totalPoints === undefined)
             setTextContentIfChanged(counterValue, '...');
         else if (totalPoints === null)
             setTextContentIfChanged(counterValue, 'Error');
         else
-            setTextContentIfChanged(counterValue, Math.floor(totalPoints).toLocaleString());
+            setTextContentIfChanged(counterValue, formatNumber(counter.displayed ?? totalPoints, config.numberFormat.decimals));
+    }
+
+    function stepCounter(/** @type {DOMHighResTimeStamp} */ now) {
+        const progress = Math.min(1, (now - counter.startTime) / config.counter.tweenDuration);
+        counter.displayed = counter.from + (counter.to - counter.from) * easings[config.counter.easing](progress);
+        renderCounterValue();
+
+        counter.frame = progress < 1 ? requestAnimationFrame(stepCounter) : undefined;
+    }
+
+    /** Counts the displayed value up or down to the counter target. */
+    function updateCounter() {
+        const target = determineCounterTarget();
+        if (target === null || counter.displayed === null || config.counter.tweenDuration <= 0) {
+            counter.displayed = target;
+            renderCounterValue();
+            return;
+        }
+
+        if (counter.frame !== undefined && counter.to === target)
+            // Already counting to the target
+            return;
 
-        setTextContentIfChanged(counterMaximum, maximum.toLocaleString());
+        if (counter.displayed === target) {
+            renderCounterValue();
+            return;
+        }
+
+        // Continue from the currently displayed value, if the target changed while counting.
+        counter.from = counter.displayed;
+        counter.to = target;
+        counter.startTime = performance.now();
+        if (counter.frame === undefined) {
+            counter.frame = requestAnimationFrame(stepCounter);
+        }
+    }
+
+    function render() {
+        setTextContentIfChanged(counterMaximum, formatNumber(maximum));
 
         renderGoals();
     }
 
+    /** Shows the reached goals instead of the active one, once the event ended. */
+    function setEventEnded(/** @type {boolean} */ ended) {
+        scroller.setFinished(ended);
+        renderGoals();
+    }
+
     render();
+    setInterval(renderEstimates, 1000);
 
     return {
         setTotalPoints,
+        setBreakdown,
+        setFulfilledGoals,
+        decryptHiddenGoals,
+        applyConfig,
+        setEventEnded,
+        setPointsOffset,
+        setPaused,
+        jumpToGoal,
+        replayCelebration,
+        setHighlightedGoal,
+        getRemoteStatus,
         render,
     };
 })();
 
-async function main() {
-    counterValue.innerText = "...";
+const timer = (function () {
+    const timerConfig = config.timer;
+    const event = timerConfig && {
+        start: timerConfig.start === undefined ? undefined : Date.parse(timerConfig.start),
+        end: Date.parse(timerConfig.end),
+    };
 
-    const fetchState = await createStateLoader();
-    if (!fetchState) {
-        counterValue.innerText = "Invalid key";
+    let extendedSeconds = 0;
+    /** @type {TimerState['phase'] | undefined} */
+    let phase;
+
+    /** @returns {string} */
+    function formatText(/** @type {TimerConfig} */ timerConfig, /** @type {TimerState} */ state) {
+        switch (state.phase) {
+            case "upcoming":
+                return timerConfig.upcomingText.replace('{time}', formatDuration(state.remaining));
+            case "running":
+                return timerConfig.runningText.replace('{time}', timerConfig.display === "elapsed" && state.elapsed !== null
+                    ? formatDuration(state.elapsed, "floor")
+                    : formatDuration(state.remaining));
+            case "ended":
+                return timerConfig.endedText;
+            default:
+                throw unreachable(state);
+        }
+    }
+
+    function render() {
+        if (!timerConfig || !event)
+            return;
+
+        const state = determineTimerState(Date.now(), event, extendedSeconds);
+        setTextContentIfChanged(eventTimer, formatText(timerConfig, state));
+
+        if (phase === state.phase)
+            return;
+
+        phase = state.phase;
+        container.setAttribute('data-event', phase);
+        if (timerConfig.results) {
+            ui.setEventEnded(phase === "ended");
+        }
+    }
+
+    /** Moves the end by the seconds of the bucket, like the subathon timers do. */
+    function setExtendedSeconds(/** @type {number} */ seconds) {
+        if (extendedSeconds === seconds)
+            return;
+
+        extendedSeconds = seconds;
+        render();
+    }
+
+    function start() {
+        if (!timerConfig)
+            return;
+
+        render();
+        setInterval(render, 1000);
+    }
+
+    return {
+        setExtendedSeconds,
+        start,
+    };
+})();
+
+const remoteControl = (function () {
+    const settings = {
+        storageKey: 'goal-scroller-remote-state',
+    };
+
+    /**
+     * Kept in the localStorage, so a correction isn't lost when the page is reloaded.
+     * @type {RemoteState}
+     */
+    const state = loadState();
+
+    /** @type {ReturnType<typeof createRemoteChannel> | undefined} */
+    let channel;
+
+    /** @returns {RemoteState} */
+    function loadState() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(settings.storageKey) ?? '{}');
+            return {
+                paused: stored?.paused === true,
+                pointsOffset: typeof stored?.pointsOffset === "number" && Number.isFinite(stored.pointsOffset) ? stored.pointsOffset : 0,
+                hidden: stored?.hidden === true,
+            };
+        } catch (err) {
+            console.error("Failed to load the state of the remote control", err);
+            return { paused: false, pointsOffset: 0, hidden: false };
+        }
+    }
+
+    function saveState() {
+        try {
+            localStorage.setItem(settings.storageKey, JSON.stringify(state));
+        } catch (err) {
+            console.error("Failed to store the state of the remote control", err);
+        }
+    }
+
+    function setHidden(/** @type {boolean} */ hidden) {
+        state.hidden = hidden;
+        container.toggleAttribute('data-hidden', hidden);
+    }
+
+    function reportStatus() {
+        channel?.post({
+            type: "remote:status",
+            status: { ...ui.getRemoteStatus(), hidden: state.hidden },
+        });
+    }
+
+    function execute(/** @type {RemoteCommand} */ command) {
+        connectionHealth.log(`Remote control: ${JSON.stringify(command)}`);
+        switch (command.type) {
+            case "pause":
+            case "resume":
+                ui.setPaused(command.type === "pause");
+                break;
+            case "setPointsOffset":
+                state.pointsOffset = command.points;
+                ui.setPointsOffset(command.points);
+                ui.render();
+                break;
+            case "jumpToGoal":
+                ui.jumpToGoal(command.index);
+                break;
+            case "refresh":
+                window.location.replace(document.location.toString());
+                return;
+            case "celebrate":
+                ui.replayCelebration(command.index);
+                break;
+            case "highlight":
+                ui.setHighlightedGoal(command.index);
+                break;
+            case "setHidden":
+                setHidden(command.hidden);
+                break;
+            default:
+                throw unreachable(command);
+        }
+
+        state.paused = ui.getRemoteStatus().paused;
+        saveState();
+        reportStatus();
+    }
+
+    /**
+     * Restores the state of the previous page and listens to the remote control.
+     * @param {{ url: string, key: CryptoKey } | undefined} relay
+     */
+    function start(relay) {
+        ui.setPointsOffset(state.pointsOffset);
+        ui.setPaused(state.paused);
+        setHidden(state.hidden);
+
+        channel = createRemoteChannel({
+            relay,
+            onMessage(message) {
+                switch (message.type) {
+                    case "remote:query":
+                        reportStatus();
+                        break;
+                    case "remote:command":
+                        execute(message.command);
+                        break;
+                    case "remote:status":
+                        // Reported by the other overlays
+                        break;
+                    default:
+                        throw unreachable(message);
+                }
+            },
+            onRelayChange(connected) {
+                connectionHealth.log(connected ? "Remote control relay connected" : "Remote control relay disconnected");
+            },
+        });
+    }
+
+    return {
+        start,
+    };
+})();
+
+/**
+ * The relay of the remote control, which is encrypted like the bucket url.
+ * The key encrypts the relayed messages too, so there is no relay without it.
+ * @returns {Promise<{ url: string, key: CryptoKey } | undefined>}
+ */
+async function loadRelay(/** @type {CryptoKey | undefined} */ key) {
+    if (!key)
         return;
+
+    if (isDevelopment && new URLSearchParams(location.search).has('relay'))
+        // The local stand-in of debug-push-server.mjs
+        return { url: 'ws://127.0.0.1:5501/remote', key };
+
+    if (!config.remote)
+        return;
+
+    try {
+        return { url: await crypto.decrypt(config.remote.encryptedRelayUrl, key), key };
+    } catch (err) {
+        console.error("Failed to decrypt the relay url of the remote control", err);
     }
+}
 
-    const fetchAndUpdate = async () => {
-        const total = await fetchState();
+/** Polls the status file with the fulfilled goals, which is maintained next to the config.json. */
+function startFulfillmentStatusFile() {
+    const statusFile = config.fulfillment?.statusFile;
+    if (!statusFile)
+        return;
+
+    async function load(/** @type {string} */ url) {
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                // Ignore the disk cache and rely on the 304 Not Modified response
+                cache: 'no-cache',
+            });
+            if (!response.ok)
+                throw new Error(`${response.status} ${response.statusText}`);
 
-        ui.setTotalPoints(total);
+            const json = await response.json();
+            const fulfilled = transports.parseFulfilledGoals(json?.fulfilled);
+            if (!fulfilled)
+                throw new Error("The status file has no 'fulfilled' array");
+
+            ui.setFulfilledGoals("statusFile", fulfilled);
+            ui.render();
+        } catch (err) {
+            console.error("Failed to load the fulfilled goals", url, err);
+        }
+    }
+
+    load(statusFile);
+    setInterval(load, config.intervals.fetch, statusFile);
+}
+
+async function main() {
+    counterValue.innerText = "...";
+    timer.start();
+
+    if (isPreview) {
+        // The points come from the slider of the goal editor, there is no bucket to load.
+        onPreviewMessage(function (message) {
+            if (message.type === "goal-editor:points") {
+                ui.setTotalPoints(message.total);
+                ui.render();
+            }
+        });
+        return;
+    }
+
+    function onState(/** @type {BucketState} */ state) {
+        pointsRate.addTotal(state.total);
+        timer.setExtendedSeconds(state.extendedSeconds ?? 0);
+        ui.setTotalPoints(state.total);
+        ui.setBreakdown(state.breakdown);
+        ui.setFulfilledGoals("bucket", state.fulfilled ?? []);
         ui.render();
     }
 
-    await fetchAndUpdate();
+    startFulfillmentStatusFile();
+
+    const key = await tryLoadKeyFromSearch();
+    remoteControl.start(await loadRelay(key));
+
+    const simulate = new URLSearchParams(location.search).get('simulate');
+    if (simulate !== null) {
+        // The key is optional here, it only reveals the hidden goals.
+        if (key) {
+            await ui.decryptHiddenGoals(key);
+        }
+
+        try {
+            const transport = await createSimulationLoader(simulate, onState);
+            transport.start();
+        } catch (err) {
+            console.error("Failed to start the simulation", err);
+            counterValue.innerText = "Invalid simulation";
+        }
+        return;
+    }
+
+    if (!key) {
+        counterValue.innerText = "Invalid key";
+        return;
+    }
+
+    await ui.decryptHiddenGoals(key);
+
+    pointsRate.startRecording();
+    const transport = await createStateLoader(key, {
+        onState,
+        onSuccess: connectionHealth.reportSuccess,
+        onFailure: connectionHealth.reportFailure,
+        onInvalidSignature: connectionHealth.reportInvalidSignature,
+        log: connectionHealth.log,
+    });
 
-    setInterval(fetchAndUpdate, isDevelopment ? 1000 : 15000);
+    transport.start();
 }
 
 await main();
@@ -0,0 +1,371 @@
+/// @ts-check
+/// <reference path="./index.d.ts" />
+
+'use strict';
+
+// The scroll state machine of the goal scroller.
+// It doesn't touch the DOM and gets its timers injected, so it can be driven
+// headless in Node with a fake clock.
+
+function unreachable(/** @type {never} */ never) {
+    return new Error(`Hit unreachable value: ${never}`);
+}
+
+/** @type {Clock} */
+export const systemClock = {
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: timeout => clearTimeout(timeout),
+};
+
+/**
+ * @param {number[]} goalPoints The ascending points of the goals.
+ * @param {number} points
+ * @returns {number | null} The index of the last done goal.
+ */
+export function calculateDoneIndex(goalPoints, points) {
+    // Not findLastIndex, which is ES2023 and not part of the lib of the tsconfig.json
+    for (let index = goalPoints.length - 1; index >= 0; index--) {
+        if (goalPoints[index] <= points)
+            return index;
+    }
+    return null;
+}
+
+/**
+ * @param {number | null} doneIndex
+ * @returns {number | null}
+ */
+function previousDoneIndexOf(doneIndex) {
+    return doneIndex === null || doneIndex === 0 ? null : doneIndex - 1;
+}
+
+/**
+ * Determines the next state of the scroller on its way to the target.
+ * @param {ScrollerAnimation} animation
+ * @param {number | null} targetDoneIndex
+ * @param {Pick<Config['catchUp'], 'mode' | 'threshold'>} catchUp
+ * @param {boolean} isFinished true, if the scroller should show the results at its target.
+ * @returns {ScrollerStep}
+ */
+export function determineNextStep(animation, targetDoneIndex, catchUp, isFinished = false) {
+    const currentDoneIndex = animation.doneIndex;
+
+    /** @returns {ScrollerStep} */
+    function arrive() {
+        /** @type {ScrollerAnimation} */
+        const next = { type: isFinished ? "results" : "static", doneIndex: currentDoneIndex };
+        return { animation: next, wait: false, doneGoals: [], catchUp: "finish" };
+    }
+
+    /** @returns {ScrollerStep} */
+    function proceed(/** @type {ScrollerAnimation} */ next, /** @type {number[]} */ doneGoals = []) {
+        return { animation: next, wait: true, doneGoals };
+    }
+
+    /** @returns {ScrollerStep} */
+    function startAnimation() {
+        if ((currentDoneIndex ?? -1) > (targetDoneIndex ?? -1)) {
+            // Probably the calculation was improved which resulted to revert
+            // an already done goal?
+            return proceed({ type: "downwards:begin", doneIndex: currentDoneIndex });
+        }
+
+        // Finish next goal
+        return proceed({ type: "upwards:begin", doneIndex: (currentDoneIndex ?? -1) + 1 });
+    }
+
+    /** @returns {ScrollerStep | undefined} The jump, if the scroller is too far behind. */
+    function catchUpIfBehind() {
+        const distance = (targetDoneIndex ?? -1) - (currentDoneIndex ?? -1);
+        if (catchUp.mode === "off" || Math.abs(distance) <= catchUp.threshold)
+            return;
+
+        if (catchUp.mode !== "skip")
+            return { ...startAnimation(), catchUp: "begin" };
+
+        // Jump right next to the target, so only the last goal is animated.
+        const jumpIndex = distance > 0
+            ? (targetDoneIndex ?? -1) - 1
+            : (targetDoneIndex ?? -1) + 1;
+        /** @type {number[]} */
+        const skippedGoals = [];
+        for (let i = (currentDoneIndex ?? -1) + 1; i <= jumpIndex; i++) {
+            skippedGoals.push(i);
+        }
+
+        return {
+            ...proceed({ type: "static", doneIndex: jumpIndex < 0 ? null : jumpIndex }, skippedGoals),
+            catchUp: "begin",
+        };
+    }
+
+    // Write out every possible state, to be easier to reason about
+    switch (animation.type) {
+        case "static":
+            if (currentDoneIndex === targetDoneIndex) {
+                // Already on correct index
+                return arrive();
+            }
+
+            return catchUpIfBehind() ?? startAnimation();
+
+        case "upwards:end":
+        case "downwards:end":
+            if (currentDoneIndex === targetDoneIndex)
+                return arrive();
+
+            return proceed({ type: "static", doneIndex: currentDoneIndex });
+
+        case "upwards:begin":
+            return proceed({ type: "upwards:moving", doneIndex: currentDoneIndex });
+
+        case "upwards:moving":
+            return proceed({ type: "upwards:end", doneIndex: currentDoneIndex },
+                currentDoneIndex === null ? [] : [currentDoneIndex]);
+
+        case "downwards:begin":
+            return proceed({ type: "downwards:moving", doneIndex: currentDoneIndex });
+
+        case "downwards:moving":
+            return proceed({ type: "downwards:end", doneIndex: previousDoneIndexOf(currentDoneIndex) });
+
+        case "results":
+            if (currentDoneIndex === targetDoneIndex && isFinished)
+                return { animation, wait: false, doneGoals: [] };
+
+            // A late update of the points or the event got extended, continue from the static window.
+            return determineNextStep({ type: "static", doneIndex: currentDoneIndex }, targetDoneIndex, catchUp, isFinished);
+
+        default:
+            throw unreachable(animation);
+    }
+}
+
+/**
+ * The index of the first goal in the window, while the scroller is not moving.
+ * The window shows the last done goal above the active goal, unless it is
+ * at the end of the list or shows a single goal only.
+ * @param {number | null} doneIndex
+ * @param {number} visibleCount
+ * @param {number} goalCount
+ */
+export function determineWindowStart(doneIndex, visibleCount, goalCount) {
+    const completedSlots = visibleCount >= 2 ? 1 : 0;
+    const activeIndex = (doneIndex ?? -1) + 1;
+    return Math.max(0, Math.min(activeIndex - completedSlots, goalCount - visibleCount));
+}
+
+/**
+ * Determines the state of a goal and where it is placed inside of the goals container.
+ * @param {number} index
+ * @param {ScrollerAnimation} scrollAnimation
+ * @param {number} visibleCount
+ * @param {number} goalCount
+ * @returns {GoalPlacement | undefined} undefined, if the goal is outside of the window.
+ */
+export function determineGoalPlacement(index, scrollAnimation, visibleCount, goalCount) {
+    const doneIndex = scrollAnimation.doneIndex;
+
+    /** @type {GoalState} */
+    const state = index <= (doneIndex ?? -1) ? "completed"
+        : index === (doneIndex ?? -1) + 1 && scrollAnimation.type !== "results" ? "active"
+            : "upcoming";
+
+    /**
+     * Places the goal inside of the window. A scrolling window contains one additional
+     * goal, which is covered by the others while they are moving over it.
+     * @returns {GoalPlacement | undefined}
+     */
+    function place(
+        /** @type {number} */ windowStart,
+        /** @type {boolean} */ isScrolling,
+        /** @type {{covered: GoalAnimation | undefined, others: GoalAnimation | undefined}} */ elementAnimation
+    ) {
+        const position = index - windowStart;
+        const windowSize = isScrolling ? visibleCount + 1 : visibleCount;
+        if (position < 0 || position >= windowSize)
+            return;
+
+        return {
+            state,
+            position,
+            animation: isScrolling && position === 0 ? elementAnimation.covered : elementAnimation.others,
+        };
+    }
+
+    function windowStartOf(/** @type {number | null} */ doneIndex) {
+        return determineWindowStart(doneIndex, visibleCount, goalCount);
+    }
+
+    const previousDoneIndex = previousDoneIndexOf(doneIndex);
+
+    switch (scrollAnimation.type) {
+        case "static":
+            return place(windowStartOf(doneIndex), false, { covered: undefined, others: "clear" });
+
+        case "upwards:begin":
+        case "upwards:moving":
+        case "upwards:end":
+            {
+                // The window moves from the previous done goal to the current one.
+                const from = windowStartOf(previousDoneIndex);
+                const to = windowStartOf(doneIndex);
+                if (from === to)
+                    return place(to, false, { covered: undefined, others: undefined });
+
+                switch (scrollAnimation.type) {
+                    case "upwards:begin": return place(from, true, { covered: undefined, others: undefined });
+                    case "upwards:moving": return place(from, true, { covered: undefined, others: "up" });
+                    case "upwards:end": return place(from, true, { covered: "no-box-shadow", others: "up" });
+                    default: throw unreachable(scrollAnimation);
+                }
+            }
+
+        case "downwards:begin":
+        case "downwards:moving":
+            {
+                // The done goal is reverted at the end, so the window moves to the previous done goal.
+                const from = windowStartOf(doneIndex);
+                const to = windowStartOf(previousDoneIndex);
+                if (from === to)
+                    return place(from, false, { covered: undefined, others: undefined });
+
+                switch (scrollAnimation.type) {
+                    case "downwards:begin": return place(to, true, { covered: "no-box-shadow", others: "down" });
+                    case "downwards:moving": return place(to, true, { covered: undefined, others: "down" });
+                    default: throw unreachable(scrollAnimation);
+                }
+            }
+
+        case "downwards:end":
+            // The goals already moved down, so the window is the same as the static one.
+            return place(windowStartOf(doneIndex), false, { covered: undefined, others: undefined });
+
+        case "results":
+            // The window ends with the last reached goal.
+            return place(Math.max(0, Math.min((doneIndex ?? -1) + 1 - visibleCount, goalCount - visibleCount)),
+                false, { covered: undefined, others: "clear" });
+
+        default:
+            throw unreachable(scrollAnimation);
+    }
+}
+
+/**
+ * Steps through the state machine and waits for the scroll transition after each step.
+ * @param {{
+ *   settings: ScrollerSettings,
+ *   initialDoneIndex: number | null,
+ *   clock?: Clock,
+ *   onStep: () => void,
+ *   onGoalDone: (index: number) => void,
+ * }} options
+ * @returns {Scroller}
+ */
+export function createScroller({ settings, initialDoneIndex, clock = systemClock, onStep, onGoalDone }) {
+    /** @type {ScrollerAnimation} */
+    let animation = {
+        type: "static",
+        doneIndex: initialDoneIndex,
+    };
+    /** @type {CatchUp | null} */
+    let catchUp = null;
+    /** @type {number | undefined} */
+    let activeTimeout;
+    let isFinished = false;
+
+    /**
+     * Marks the scroller as being too far behind the points, so the next steps
+     * skip or compress the intermediate goals. Keeps counting into a still visible summary.
+     */
+    function beginCatchUp() {
+        if (catchUp) {
+            clock.clearTimeout(catchUp.hideTimeout);
+            catchUp.hideTimeout = undefined;
+            catchUp.active = true;
+            return;
+        }
+
+        catchUp = {
+            startIndex: animation.doneIndex ?? -1,
+            active: true,
+        };
+    }
+
+    /** Keeps the summary visible for a while, after the scroller reached its target. */
+    function finishCatchUp() {
+        const current = catchUp;
+        if (!current || !current.active)
+            return;
+
+        current.active = false;
+        current.hideTimeout = clock.setTimeout(function () {
+            catchUp = null;
+
+            onStep();
+        }, settings.catchUp.summaryDuration);
+    }
+
+    function isCompressing() {
+        return !!catchUp?.active && settings.catchUp.mode === "compress";
+    }
+
+    function getStepDuration() {
+        // Give the CSS animation additional 50ms, so its definitely done.
+        return (isCompressing() ? settings.catchUp.compressedScrollDuration : settings.scrollDuration) + 50;
+    }
+
+    /** Proceeds one step towards the target, unless the previous step is still animated. */
+    function update(/** @type {number | null} */ targetDoneIndex) {
+        if (activeTimeout !== undefined)
+            return;
+
+        const step = determineNextStep(animation, targetDoneIndex, settings.catchUp, isFinished);
+        switch (step.catchUp) {
+            case "begin":
+                beginCatchUp();
+                break;
+            case "finish":
+                finishCatchUp();
+                break;
+            case undefined:
+                break;
+            default:
+                throw unreachable(step.catchUp);
+        }
+
+        animation = step.animation;
+        for (const index of step.doneGoals) {
+            onGoalDone(index);
+        }
+
+        if (!step.wait)
+            return;
+
+        // Automatically proceed after the timeout with our state machine.
+        activeTimeout = clock.setTimeout(function () {
+            activeTimeout = undefined;
+
+            onStep();
+        }, getStepDuration());
+    }
+
+    return {
+        getAnimation: () => animation,
+        getCatchUp: () => catchUp,
+        isCompressing,
+        update,
+        setFinished(finished) {
+            isFinished = finished;
+        },
+        isMoving: () => activeTimeout !== undefined || (animation.type !== "static" && animation.type !== "results"),
+        reconfigure(newSettings, doneIndex) {
+            settings = newSettings;
+            animation = {
+                type: animation.type === "results" ? "results" : "static",
+                doneIndex,
+            };
+        },
+        placeGoal: index => determineGoalPlacement(index, animation, settings.visibleGoalCount, settings.goalCount),
+    };
+}
@@ -0,0 +1,178 @@
+/// @ts-check
+/// <reference path="./index.d.ts" />
+
+import { systemClock } from "./scroller.mjs";
+
+'use strict';
+
+/** @type {Record<string, string>} */
+const dashboardCategorySources = {
+    DONATION: "donations",
+    BITS: "bits",
+    SUBSCRIPTION1: "subs",
+    SUBSCRIPTION2: "subs",
+    SUBSCRIPTION3: "subs",
+};
+
+/** @returns {value is Record<string, unknown>} */
+function isObject(/** @type {unknown} */ value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Creates the steps of a built-in scenario for the points of the goals.
+ * - steps: Reaches one goal after another.
+ * - jumps: Crosses several goals at once, so the catch up is used.
+ * - reverts: Reverts done goals, like a corrected calculation would.
+ * @param {string} name
+ * @param {number[]} goalPoints The ascending points of the goals.
+ * @param {number} interval Milliseconds between two steps.
+ * @returns {SimulationStep[] | undefined} undefined, if there is no scenario with the name.
+ */
+export function createScenario(name, goalPoints, interval = 8000) {
+    const last = goalPoints.length - 1;
+    const pointsOf = (/** @type {number} */ index) => goalPoints[Math.max(0, Math.min(index, last))];
+    /** Half the way from the goal to the next one. */
+    const between = (/** @type {number} */ index) => index < 0 ? 0
+        : index >= last ? pointsOf(last)
+            : (pointsOf(index) + pointsOf(index + 1)) / 2;
+
+    /** @type {number[]} */
+    let totals;
+    switch (name) {
+        case "steps":
+            totals = goalPoints.flatMap((points, index) => index === 0 ? [points] : [between(index - 1), points]);
+            break;
+        case "jumps":
+            totals = [
+                between(0),
+                pointsOf(Math.floor(last / 3)),
+                between(Math.floor(last / 3)),
+                pointsOf(Math.floor(last * 2 / 3)),
+                pointsOf(last),
+            ];
+            break;
+        case "reverts":
+            totals = [
+                pointsOf(2),
+                // Single goal
+                between(1),
+                pointsOf(4),
+                // Several goals at once
+                between(0),
+                // Below the first goal
+                0,
+                pointsOf(1),
+            ];
+            break;
+        default:
+            return;
+    }
+
+    return [0, ...totals].map((total, index) => ({ at: index * interval, total }));
+}
+
+/**
+ * Reads a recorded timeline. Supports the steps as `{ "steps": [{ "at": ms, "total": n }] }`
+ * and the events of the live json of the dashboard, which are summed up in the order of their timestamps.
+ * @param {unknown} json
+ * @returns {SimulationStep[] | null}
+ */
+export function parseTimeline(json) {
+    if (isObject(json) && Array.isArray(json.steps)) {
+        /** @type {SimulationStep[]} */
+        const steps = [];
+        for (const step of json.steps) {
+            if (!isObject(step) || typeof step.at !== "number" || typeof step.total !== "number")
+                return null;
+
+            steps.push({
+                at: step.at,
+                total: step.total,
+                extendedSeconds: typeof step.extendedSeconds === "number" ? step.extendedSeconds : undefined,
+                breakdown: isObject(step.breakdown) ? /** @type {Record<string, number>} */(step.breakdown) : undefined,
+            });
+        }
+        return steps.sort((a, b) => a.at - b.at);
+    }
+
+    if (isObject(json) && Array.isArray(json.events)) {
+        const events = json.events
+            .filter(x => isObject(x) && typeof x.timestamp === "string" && typeof x.points === "number")
+            .map(x => ({
+                time: Date.parse(x.timestamp),
+                points: /** @type {number} */(x.points),
+                source: dashboardCategorySources[x.category] ?? "others",
+            }))
+            .filter(x => !Number.isNaN(x.time))
+            .sort((a, b) => a.time - b.time);
+        if (events.length === 0)
+            return null;
+
+        let total = 0;
+        /** @type {Record<string, number>} */
+        const breakdown = {};
+        const startTime = events[0].time;
+        return [
+            { at: 0, total: 0 },
+            ...events.map(function (event) {
+                total += event.points;
+                breakdown[event.source] = (breakdown[event.source] ?? 0) + event.points;
+                return { at: event.time - startTime, total, breakdown: { ...breakdown } };
+            }),
+        ];
+    }
+
+    return null;
+}
+
+/**
+ * Replays the steps instead of loading the bucket.
+ * @param {{
+ *   steps: SimulationStep[],
+ *   speed: number,
+ *   loop: boolean,
+ *   clock?: Clock,
+ *   onState: (state: BucketState) => void,
+ * }} options
+ * @returns {Transport}
+ */
+export function createSimulationTransport({ steps, speed, loop, clock = systemClock, onState }) {
+    /** @type {number | undefined} */
+    let timeout;
+    let index = 0;
+
+    function play() {
+        const step = steps[index];
+        const { at, ...state } = step;
+        onState(state);
+
+        index++;
+        if (index >= steps.length) {
+            if (!loop) {
+                timeout = undefined;
+                return;
+            }
+
+            index = 0;
+        }
+
+        // Restarting the loop waits as long as the step before.
+        const delay = index === 0 ? at - (steps[steps.length - 2]?.at ?? 0) : steps[index].at - at;
+        timeout = clock.setTimeout(play, Math.max(0, delay) / speed);
+    }
+
+    return {
+        start() {
+            if (timeout !== undefined || steps.length === 0)
+                return;
+
+            index = 0;
+            timeout = clock.setTimeout(play, steps[0].at / speed);
+        },
+        stop() {
+            clock.clearTimeout(timeout);
+            timeout = undefined;
+        },
+    };
+}
@@ -0,0 +1,33 @@
+/// @ts-check
+
+// Tests of the validation of the config.json, run with `npm test` in the root of the repository.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as crypto from '../crypto.mjs';
+import { validateConfig } from '../config.mjs';
+
+describe("validateConfig", function () {
+    it("accepts the envelope and the legacy packed string of the encrypted values", async function () {
+        const key = await crypto.generateKey();
+        const { iv, data } = await crypto.encrypt("https://bucket.example/", key);
+
+        for (const encrypted of [{ iv, data }, iv + data]) {
+            const json = {
+                encryptedBucketUrl: encrypted,
+                push: { type: "sse", encryptedUrl: encrypted },
+                remote: { encryptedRelayUrl: encrypted },
+                goals: [{ points: 10, hidden: true, encrypted }],
+            };
+
+            assert.deepEqual(validateConfig(json), []);
+        }
+    });
+
+    it("rejects other encrypted values", function () {
+        for (const encrypted of [undefined, "short", { iv: "x" }, 42]) {
+            assert.deepEqual(validateConfig({ encryptedBucketUrl: encrypted, goals: [{ points: 10, text: "Goal" }] }),
+                ["'encryptedBucketUrl' has to be an object with the string fields 'iv' and 'data' or the packed string of both."]);
+        }
+    });
+});
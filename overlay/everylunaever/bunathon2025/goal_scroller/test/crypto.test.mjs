@@ -0,0 +1,79 @@
+/// @ts-check
+
+// Round trips of the encrypted envelopes, run with `npm test` in the root of the repository.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as crypto from '../crypto.mjs';
+
+const text = JSON.stringify({ supporters: { "1": "Änne", "2": "Bob" }, note: "x".repeat(1000) });
+
+describe("encrypt and decrypt", function () {
+    it("round trips a v1 envelope", async function () {
+        const key = await crypto.generateKey();
+        const envelope = await crypto.encrypt(text, key);
+
+        assert.equal(envelope.version, 1);
+        assert.equal(envelope.algorithm, "AES-GCM");
+        assert.equal('compression' in envelope, false);
+        assert.equal(await crypto.decrypt(envelope, key), text);
+    });
+
+    it("round trips a v1 envelope with gzip compression", async function () {
+        const key = await crypto.generateKey();
+        const envelope = await crypto.encrypt(text, key, { compress: true });
+
+        assert.equal(envelope.compression, "gzip");
+        assert.ok(envelope.data.length < (await crypto.encrypt(text, key)).data.length);
+        assert.equal(await crypto.decrypt(envelope, key), text);
+    });
+
+    it("decrypts the legacy object without a version", async function () {
+        const key = await crypto.generateKey();
+        const { iv, data } = await crypto.encrypt(text, key);
+
+        assert.equal(await crypto.decrypt({ iv, data }, key), text);
+    });
+
+    it("decrypts the legacy packed string of the iv followed by the data", async function () {
+        const key = await crypto.generateKey();
+        const { iv, data } = await crypto.encrypt(text, key);
+
+        assert.equal(iv.length, 16);
+        assert.equal(await crypto.decrypt(iv + data, key), text);
+    });
+
+    it("decrypts with an exported and imported key", async function () {
+        const key = await crypto.generateKey();
+        const envelope = await crypto.encrypt(text, key);
+
+        assert.equal(await crypto.decrypt(envelope, await crypto.importKey(await crypto.exportKey(key))), text);
+    });
+
+    it("rejects a newer envelope version", async function () {
+        const key = await crypto.generateKey();
+        const envelope = await crypto.encrypt(text, key);
+
+        await assert.rejects(crypto.decrypt({ ...envelope, version: 2 }, key), /version/);
+    });
+
+    it("rejects an unknown algorithm", async function () {
+        const key = await crypto.generateKey();
+        const envelope = await crypto.encrypt(text, key);
+
+        await assert.rejects(crypto.decrypt({ ...envelope, algorithm: "AES-CBC" }, key), /algorithm/);
+    });
+
+    it("rejects an unknown compression", async function () {
+        const key = await crypto.generateKey();
+        const envelope = await crypto.encrypt(text, key, { compress: true });
+
+        await assert.rejects(crypto.decrypt({ ...envelope, compression: "br" }, key), /Unsupported compression/);
+    });
+
+    it("rejects another key", async function () {
+        const envelope = await crypto.encrypt(text, await crypto.generateKey());
+
+        await assert.rejects(crypto.decrypt(envelope, await crypto.generateKey()));
+    });
+});
@@ -0,0 +1,30 @@
+/// @ts-check
+
+// Checks the index.html, run with `npm test` in the root of the repository.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+const directory = new URL('../', import.meta.url);
+
+describe("index.html", function () {
+    it("versions every module imported by the overlay", function () {
+        const html = readFileSync(new URL('index.html', directory), 'utf8');
+        const versioned = Array.from(html.matchAll(/^\s+"(\w+\.mjs)",$/gm), x => x[1]);
+
+        const imported = new Set();
+        for (const file of readdirSync(directory)) {
+            // The debug server runs in Node and isn't loaded by the overlay.
+            if (!file.endsWith('.mjs') || file.startsWith('debug-'))
+                continue;
+
+            const source = readFileSync(new URL(file, directory), 'utf8');
+            for (const [, module] of source.matchAll(/^import .* from "\.\/(\w+\.mjs)";$/gm)) {
+                imported.add(module);
+            }
+        }
+
+        assert.deepEqual(versioned, [...imported].sort());
+    });
+});
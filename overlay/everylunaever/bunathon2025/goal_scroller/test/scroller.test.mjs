@@ -0,0 +1,488 @@
+/// @ts-check
+/// <reference path="../index.d.ts" />
+
+// Tests of the scroll state machine, run with `npm test` in the root of the repository.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    calculateDoneIndex,
+    createScroller,
+    determineGoalPlacement,
+    determineNextStep,
+    determineWindowStart,
+} from '../scroller.mjs';
+
+const catchUpOff = { mode: /** @type {CatchUpMode} */ ("off"), threshold: 1 };
+
+/**
+ * Runs the timers in the order of their due time, instead of waiting for them.
+ * @returns {Clock & { now: () => number, pending: () => number[], runAll: () => void }}
+ */
+function createFakeClock() {
+    let now = 0;
+    let nextId = 1;
+    /** @type {Map<number, { at: number, callback: () => void }>} */
+    const timers = new Map();
+
+    return {
+        setTimeout(callback, ms) {
+            const id = nextId++;
+            timers.set(id, { at: now + ms, callback });
+            return id;
+        },
+        clearTimeout(id) {
+            if (id !== undefined) {
+                timers.delete(id);
+            }
+        },
+        now: () => now,
+        /** The delays of the pending timers. */
+        pending: () => Array.from(timers.values(), x => x.at - now),
+        runAll() {
+            for (let count = 0; timers.size > 0; count++) {
+                assert.ok(count < 1000, "The timers don't settle");
+
+                const [id, timer] = [...timers].reduce((a, b) => b[1].at < a[1].at ? b : a);
+                timers.delete(id);
+                now = timer.at;
+                timer.callback();
+            }
+        },
+    };
+}
+
+/** @returns {ScrollerSettings} */
+function createSettings(/** @type {Partial<Config['catchUp']>} */ catchUp = {}) {
+    return {
+        goalCount: 5,
+        visibleGoalCount: 3,
+        scrollDuration: 1000,
+        catchUp: {
+            mode: "off",
+            threshold: 1,
+            compressedScrollDuration: 100,
+            summaryText: "+{count}",
+            summaryDuration: 5000,
+            ...catchUp,
+        },
+    };
+}
+
+/**
+ * Drives the scroller like the overlay does: every step renders and updates towards the target again.
+ * @param {{ settings: ScrollerSettings, initialDoneIndex: number | null }} options
+ */
+function drive({ settings, initialDoneIndex }) {
+    const clock = createFakeClock();
+    /** @type {number | null} */
+    let target = initialDoneIndex;
+    /** @type {string[]} */
+    const steps = [];
+    /** @type {number[]} */
+    const doneGoals = [];
+    /** @type {number[]} */
+    const durations = [];
+
+    function update() {
+        scroller.update(target);
+        const animation = scroller.getAnimation();
+        const step = `${animation.type} ${animation.doneIndex}`;
+        if (steps[steps.length - 1] !== step) {
+            steps.push(step);
+        }
+        durations.push(...clock.pending());
+    }
+
+    const scroller = createScroller({
+        settings,
+        initialDoneIndex,
+        clock,
+        onStep: update,
+        onGoalDone: index => doneGoals.push(index),
+    });
+
+    return {
+        scroller,
+        clock,
+        steps,
+        doneGoals,
+        durations,
+        /** Moves to the target and runs all timers until the scroller settled. */
+        moveTo(/** @type {number | null} */ newTarget) {
+            target = newTarget;
+            steps.length = 0;
+            doneGoals.length = 0;
+            durations.length = 0;
+            update();
+            clock.runAll();
+        },
+        /** Changes the target, which is used by the next steps. */
+        setTarget(/** @type {number | null} */ newTarget) {
+            target = newTarget;
+        },
+    };
+}
+
+describe("calculateDoneIndex", function () {
+    it("returns null without goals or below the first goal", function () {
+        assert.equal(calculateDoneIndex([], 100), null);
+        assert.equal(calculateDoneIndex([10, 20], 9), null);
+    });
+
+    it("returns the last reached goal", function () {
+        assert.equal(calculateDoneIndex([10, 20, 30], 10), 0);
+        assert.equal(calculateDoneIndex([10, 20, 30], 29), 1);
+        assert.equal(calculateDoneIndex([10, 20, 30], 1000), 2);
+    });
+});
+
+describe("determineNextStep", function () {
+    /**
+     * @param {ScrollerAnimation['type']} type
+     * @param {number | null} doneIndex
+     * @returns {ScrollerAnimation}
+     */
+    const animation = (type, doneIndex) => /** @type {ScrollerAnimation} */({ type, doneIndex });
+
+    it("arrives from static at the target", function () {
+        assert.deepEqual(determineNextStep(animation("static", 1), 1, catchUpOff),
+            { animation: animation("static", 1), wait: false, doneGoals: [], catchUp: "finish" });
+        assert.deepEqual(determineNextStep(animation("static", null), null, catchUpOff),
+            { animation: animation("static", null), wait: false, doneGoals: [], catchUp: "finish" });
+    });
+
+    it("switches from static into the results, if finished", function () {
+        assert.deepEqual(determineNextStep(animation("static", 1), 1, catchUpOff, true),
+            { animation: animation("results", 1), wait: false, doneGoals: [], catchUp: "finish" });
+    });
+
+    it("begins upwards from static below the target", function () {
+        assert.deepEqual(determineNextStep(animation("static", null), 2, catchUpOff),
+            { animation: animation("upwards:begin", 0), wait: true, doneGoals: [] });
+        assert.deepEqual(determineNextStep(animation("static", 1), 2, catchUpOff),
+            { animation: animation("upwards:begin", 2), wait: true, doneGoals: [] });
+    });
+
+    it("begins downwards from static above the target", function () {
+        assert.deepEqual(determineNextStep(animation("static", 2), 0, catchUpOff),
+            { animation: animation("downwards:begin", 2), wait: true, doneGoals: [] });
+        assert.deepEqual(determineNextStep(animation("static", 0), null, catchUpOff),
+            { animation: animation("downwards:begin", 0), wait: true, doneGoals: [] });
+    });
+
+    it("moves upwards and reports the done goal at the end of the move", function () {
+        assert.deepEqual(determineNextStep(animation("upwards:begin", 2), 2, catchUpOff),
+            { animation: animation("upwards:moving", 2), wait: true, doneGoals: [] });
+        assert.deepEqual(determineNextStep(animation("upwards:moving", 2), 2, catchUpOff),
+            { animation: animation("upwards:end", 2), wait: true, doneGoals: [2] });
+    });
+
+    it("moves downwards and reverts the done goal at the end of the move", function () {
+        assert.deepEqual(determineNextStep(animation("downwards:begin", 2), 1, catchUpOff),
+            { animation: animation("downwards:moving", 2), wait: true, doneGoals: [] });
+        assert.deepEqual(determineNextStep(animation("downwards:moving", 2), 1, catchUpOff),
+            { animation: animation("downwards:end", 1), wait: true, doneGoals: [] });
+        assert.deepEqual(determineNextStep(animation("downwards:moving", 0), null, catchUpOff),
+            { animation: animation("downwards:end", null), wait: true, doneGoals: [] });
+    });
+
+    it("arrives after the end of a move at the target, otherwise continues from static", function () {
+        for (const type of /** @type {const} */ (["upwards:end", "downwards:end"])) {
+            assert.deepEqual(determineNextStep(animation(type, 1), 1, catchUpOff),
+                { animation: animation("static", 1), wait: false, doneGoals: [], catchUp: "finish" });
+            assert.deepEqual(determineNextStep(animation(type, 1), 3, catchUpOff),
+                { animation: animation("static", 1), wait: true, doneGoals: [] });
+        }
+    });
+
+    it("stays in the results at the target", function () {
+        const results = animation("results", 2);
+        assert.deepEqual(determineNextStep(results, 2, catchUpOff, true),
+            { animation: results, wait: false, doneGoals: [] });
+    });
+
+    it("leaves the results for a late update or an extended event", function () {
+        assert.deepEqual(determineNextStep(animation("results", 2), 3, catchUpOff, true),
+            { animation: animation("upwards:begin", 3), wait: true, doneGoals: [] });
+        assert.deepEqual(determineNextStep(animation("results", 2), 2, catchUpOff, false),
+            { animation: animation("static", 2), wait: false, doneGoals: [], catchUp: "finish" });
+    });
+
+    it("catches up only beyond the threshold", function () {
+        const skip = { mode: /** @type {CatchUpMode} */ ("skip"), threshold: 2 };
+        assert.equal(determineNextStep(animation("static", null), 1, skip).catchUp, undefined);
+        assert.deepEqual(determineNextStep(animation("static", null), 3, skip),
+            { animation: animation("static", 2), wait: true, doneGoals: [0, 1, 2], catchUp: "begin" });
+    });
+
+    it("throws for an unknown animation", function () {
+        assert.throws(() => determineNextStep(/** @type {any} */({ type: "sideways", doneIndex: 0 }), 0, catchUpOff));
+    });
+});
+
+describe("determineGoalPlacement", function () {
+    /**
+     * The placements of all goals, undefined for the goals outside of the window.
+     * @param {ScrollerAnimation} animation
+     */
+    function placeAll(animation, visibleCount = 3, goalCount = 5) {
+        return Array.from({ length: goalCount }, (_, index) => determineGoalPlacement(index, animation, visibleCount, goalCount));
+    }
+
+    it("shows the first goals as long as none is done", function () {
+        assert.equal(determineWindowStart(null, 3, 5), 0);
+        assert.deepEqual(placeAll({ type: "static", doneIndex: null }), [
+            { state: "active", position: 0, animation: "clear" },
+            { state: "upcoming", position: 1, animation: "clear" },
+            { state: "upcoming", position: 2, animation: "clear" },
+            undefined,
+            undefined,
+        ]);
+    });
+
+    it("keeps the last done goal above the active goal", function () {
+        assert.deepEqual(placeAll({ type: "static", doneIndex: 1 }), [
+            undefined,
+            { state: "completed", position: 0, animation: "clear" },
+            { state: "active", position: 1, animation: "clear" },
+            { state: "upcoming", position: 2, animation: "clear" },
+            undefined,
+        ]);
+    });
+
+    it("stops at the last goals", function () {
+        assert.equal(determineWindowStart(3, 3, 5), 2);
+        assert.deepEqual(placeAll({ type: "static", doneIndex: 4 }), [
+            undefined,
+            undefined,
+            { state: "completed", position: 0, animation: "clear" },
+            { state: "completed", position: 1, animation: "clear" },
+            { state: "completed", position: 2, animation: "clear" },
+        ]);
+    });
+
+    it("shows only the active goal in a window of a single goal", function () {
+        assert.deepEqual(placeAll({ type: "static", doneIndex: 1 }, 1), [
+            undefined,
+            undefined,
+            { state: "active", position: 0, animation: "clear" },
+            undefined,
+            undefined,
+        ]);
+    });
+
+    it("shows all goals, if there are fewer goals than places", function () {
+        assert.equal(determineWindowStart(1, 3, 2), 0);
+        assert.deepEqual(placeAll({ type: "static", doneIndex: 0 }, 3, 2), [
+            { state: "completed", position: 0, animation: "clear" },
+            { state: "active", position: 1, animation: "clear" },
+        ]);
+    });
+
+    it("places nothing without goals", function () {
+        assert.deepEqual(placeAll({ type: "static", doneIndex: null }, 3, 0), []);
+    });
+
+    it("scrolls upwards with an additional goal, which is covered at the end", function () {
+        assert.deepEqual(placeAll({ type: "upwards:begin", doneIndex: 2 }), [
+            undefined,
+            { state: "completed", position: 0, animation: undefined },
+            { state: "completed", position: 1, animation: undefined },
+            { state: "active", position: 2, animation: undefined },
+            { state: "upcoming", position: 3, animation: undefined },
+        ]);
+        assert.deepEqual(placeAll({ type: "upwards:moving", doneIndex: 2 }).map(x => x?.animation), [
+            undefined, undefined, "up", "up", "up",
+        ]);
+        assert.deepEqual(placeAll({ type: "upwards:end", doneIndex: 2 }).map(x => x?.animation), [
+            undefined, "no-box-shadow", "up", "up", "up",
+        ]);
+    });
+
+    it("doesn't scroll upwards, if the window stays at the first or last goals", function () {
+        assert.deepEqual(placeAll({ type: "upwards:moving", doneIndex: 0 }), [
+            { state: "completed", position: 0, animation: undefined },
+            { state: "active", position: 1, animation: undefined },
+            { state: "upcoming", position: 2, animation: undefined },
+            undefined,
+            undefined,
+        ]);
+        assert.deepEqual(placeAll({ type: "upwards:moving", doneIndex: 4 }).map(x => x?.position), [
+            undefined, undefined, 0, 1, 2,
+        ]);
+    });
+
+    it("scrolls downwards from the window of the reverted goal", function () {
+        assert.deepEqual(placeAll({ type: "downwards:begin", doneIndex: 2 }), [
+            undefined,
+            { state: "completed", position: 0, animation: "no-box-shadow" },
+            { state: "completed", position: 1, animation: "down" },
+            { state: "active", position: 2, animation: "down" },
+            { state: "upcoming", position: 3, animation: "down" },
+        ]);
+        assert.deepEqual(placeAll({ type: "downwards:moving", doneIndex: 2 }).map(x => x?.animation), [
+            undefined, undefined, "down", "down", "down",
+        ]);
+        assert.deepEqual(placeAll({ type: "downwards:end", doneIndex: 1 }), [
+            undefined,
+            { state: "completed", position: 0, animation: undefined },
+            { state: "active", position: 1, animation: undefined },
+            { state: "upcoming", position: 2, animation: undefined },
+            undefined,
+        ]);
+    });
+
+    it("ends the window of the results with the last reached goal", function () {
+        assert.deepEqual(placeAll({ type: "results", doneIndex: 4 }).map(x => x?.state), [
+            undefined, undefined, "completed", "completed", "completed",
+        ]);
+        assert.deepEqual(placeAll({ type: "results", doneIndex: 1 }).map(x => x?.state), [
+            "completed", "completed", "upcoming", undefined, undefined,
+        ]);
+    });
+});
+
+describe("createScroller", function () {
+    it("does nothing without goals", function () {
+        const { scroller, clock, steps, moveTo } = drive({
+            settings: { ...createSettings(), goalCount: 0 },
+            initialDoneIndex: null,
+        });
+
+        moveTo(calculateDoneIndex([], 100));
+        assert.deepEqual(steps, ["static null"]);
+        assert.equal(clock.now(), 0);
+        assert.equal(scroller.isMoving(), false);
+    });
+
+    it("scrolls through every goal one by one without catching up", function () {
+        const { steps, doneGoals, durations, moveTo } = drive({ settings: createSettings(), initialDoneIndex: null });
+
+        moveTo(2);
+        assert.deepEqual(steps, [
+            "upwards:begin 0", "upwards:moving 0", "upwards:end 0", "static 0",
+            "upwards:begin 1", "upwards:moving 1", "upwards:end 1", "static 1",
+            "upwards:begin 2", "upwards:moving 2", "upwards:end 2", "static 2",
+        ]);
+        assert.deepEqual(doneGoals, [0, 1, 2]);
+        assert.ok(durations.every(x => x === 1050));
+    });
+
+    it("reverts goals down to none", function () {
+        const { scroller, steps, doneGoals, moveTo } = drive({ settings: createSettings(), initialDoneIndex: 1 });
+
+        moveTo(null);
+        assert.deepEqual(steps, [
+            "downwards:begin 1", "downwards:moving 1", "downwards:end 0", "static 0",
+            "downwards:begin 0", "downwards:moving 0", "downwards:end null", "static null",
+        ]);
+        assert.deepEqual(doneGoals, []);
+        assert.equal(scroller.isMoving(), false);
+    });
+
+    it("continues towards a target, which changed while moving", function () {
+        const { scroller, clock, steps, doneGoals, setTarget } = drive({ settings: createSettings(), initialDoneIndex: null });
+
+        setTarget(3);
+        scroller.update(3);
+        // Ignored, until the transition of the step is done.
+        setTarget(0);
+        scroller.update(0);
+        assert.deepEqual(scroller.getAnimation(), { type: "upwards:begin", doneIndex: 0 });
+        clock.runAll();
+        assert.deepEqual(steps.slice(-2), ["upwards:end 0", "static 0"]);
+        assert.deepEqual(doneGoals, [0]);
+    });
+
+    it("skips to the goal in front of the target", function () {
+        const { scroller, clock, steps, doneGoals, moveTo } = drive({
+            settings: createSettings({ mode: "skip", threshold: 1 }),
+            initialDoneIndex: null,
+        });
+
+        moveTo(3);
+        assert.deepEqual(steps, [
+            "static 2",
+            "upwards:begin 3", "upwards:moving 3", "upwards:end 3", "static 3",
+        ]);
+        assert.deepEqual(doneGoals, [0, 1, 2, 3]);
+        // The summary was shown and hidden after its duration.
+        assert.equal(scroller.getCatchUp(), null);
+        assert.equal(clock.now(), 4 * 1050 + 5000);
+    });
+
+    it("skips downwards to the goal behind the target", function () {
+        const { steps, doneGoals, moveTo } = drive({
+            settings: createSettings({ mode: "skip", threshold: 1 }),
+            initialDoneIndex: 4,
+        });
+
+        moveTo(null);
+        assert.deepEqual(steps, [
+            "static 0",
+            "downwards:begin 0", "downwards:moving 0", "downwards:end null", "static null",
+        ]);
+        assert.deepEqual(doneGoals, []);
+    });
+
+    it("compresses the scroll transitions while catching up", function () {
+        const { scroller, clock, steps, doneGoals, durations, moveTo } = drive({
+            settings: createSettings({ mode: "compress", threshold: 1 }),
+            initialDoneIndex: null,
+        });
+
+        scroller.update(3);
+        assert.equal(scroller.isCompressing(), true);
+        assert.deepEqual(scroller.getCatchUp(), { startIndex: -1, active: true });
+
+        moveTo(3);
+        assert.deepEqual(steps.filter(x => x.startsWith("static")), ["static 0", "static 1", "static 2", "static 3"]);
+        assert.deepEqual(doneGoals, [0, 1, 2, 3]);
+        // Every transition is compressed, the last timer hides the summary.
+        assert.deepEqual(durations.slice(0, -1).filter(x => x !== 150), []);
+        assert.equal(scroller.getCatchUp(), null);
+        assert.equal(scroller.isCompressing(), false);
+        assert.equal(clock.now(), 15 * 150 + 5000);
+    });
+
+    it("doesn't catch up within the threshold", function () {
+        const { scroller, durations, moveTo } = drive({
+            settings: createSettings({ mode: "compress", threshold: 2 }),
+            initialDoneIndex: null,
+        });
+
+        moveTo(1);
+        assert.equal(scroller.getCatchUp(), null);
+        assert.ok(durations.every(x => x === 1050));
+    });
+
+    it("switches into the results at the target", function () {
+        const { scroller, steps, moveTo } = drive({ settings: createSettings(), initialDoneIndex: 3 });
+
+        scroller.setFinished(true);
+        moveTo(4);
+        assert.deepEqual(steps.slice(-2), ["upwards:end 4", "results 4"]);
+        assert.equal(scroller.isMoving(), false);
+    });
+
+    it("restarts from the static window of the new settings, when reconfigured", function () {
+        const { scroller, steps, moveTo } = drive({ settings: createSettings(), initialDoneIndex: 1 });
+
+        scroller.reconfigure({ ...createSettings(), goalCount: 3 }, 0);
+        assert.deepEqual(scroller.getAnimation(), { type: "static", doneIndex: 0 });
+        assert.equal(scroller.isMoving(), false);
+
+        moveTo(2);
+        assert.deepEqual(steps.slice(-1), ["static 2"]);
+    });
+
+    it("keeps showing the results, when reconfigured", function () {
+        const { scroller, moveTo } = drive({ settings: createSettings(), initialDoneIndex: 1 });
+
+        scroller.setFinished(true);
+        moveTo(1);
+        scroller.reconfigure(createSettings(), 0);
+        assert.deepEqual(scroller.getAnimation(), { type: "results", doneIndex: 0 });
+    });
+});
@@ -0,0 +1,89 @@
+/// @ts-check
+
+// Tests of the polling, run with `npm test` in the root of the repository.
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPollingTransport } from '../transport.mjs';
+
+/** Waits for the pending fetches and their handlers. */
+async function flush() {
+    for (let i = 0; i < 10; i++) {
+        await Promise.resolve();
+    }
+}
+
+describe("createPollingTransport", function () {
+    it("keeps polling, if the state handler throws", async function (t) {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const error = mock.method(console, 'error', () => { });
+        t.after(() => error.mock.restore());
+
+        let fetches = 0;
+        const transport = createPollingTransport({
+            fetchState: async () => ({ total: ++fetches }),
+            interval: 1000,
+            retry: { initialDelay: 100, maxDelay: 1000 },
+            onState() {
+                throw new Error("broken handler");
+            },
+            onFailure() { },
+        });
+
+        transport.start();
+        await flush();
+        t.mock.timers.tick(1000);
+        await flush();
+        transport.stop();
+
+        assert.equal(fetches, 2);
+        assert.equal(error.mock.callCount(), 2);
+    });
+
+    it("retries with the backoff, if the failure handler throws", async function (t) {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const error = mock.method(console, 'error', () => { });
+        t.after(() => error.mock.restore());
+
+        let fetches = 0;
+        const transport = createPollingTransport({
+            fetchState: async () => { fetches++; throw new Error("offline"); },
+            interval: 1000,
+            retry: { initialDelay: 100, maxDelay: 1000 },
+            onState() { },
+            onFailure() {
+                throw new Error("broken handler");
+            },
+        });
+
+        transport.start();
+        await flush();
+        t.mock.timers.tick(100);
+        await flush();
+        t.mock.timers.tick(200);
+        await flush();
+        transport.stop();
+
+        assert.equal(fetches, 3);
+    });
+
+    it("doesn't poll again, if the handler stopped the polling", async function (t) {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+
+        let fetches = 0;
+        const transport = createPollingTransport({
+            fetchState: async () => ({ total: ++fetches }),
+            interval: 1000,
+            retry: { initialDelay: 100, maxDelay: 1000 },
+            onState: () => transport.stop(),
+            onFailure() { },
+        });
+
+        transport.start();
+        await flush();
+        t.mock.timers.tick(5000);
+        await flush();
+
+        assert.equal(fetches, 1);
+    });
+});
@@ -0,0 +1,40 @@
+/// @ts-check
+/// <reference path="./index.d.ts" />
+
+'use strict';
+
+/**
+ * Determines the phase of the event at the given time.
+ * @param {number} now Milliseconds since the epoch.
+ * @param {{ start?: number, end: number }} event The timestamps of the event in milliseconds since the epoch.
+ * @param {number} extendedSeconds Seconds the end was extended by.
+ * @returns {TimerState}
+ */
+export function determineTimerState(now, event, extendedSeconds) {
+    if (event.start !== undefined && now < event.start)
+        return { phase: "upcoming", remaining: event.start - now };
+
+    const end = event.end + extendedSeconds * 1000;
+    if (now >= end)
+        return { phase: "ended" };
+
+    return {
+        phase: "running",
+        elapsed: event.start === undefined ? null : now - event.start,
+        remaining: end - now,
+    };
+}
+
+/**
+ * Formats milliseconds as hours, minutes and seconds like "27:04:05".
+ * Rounds up by default, so a countdown shows "0:00:00" only at its end.
+ * @param {number} ms
+ * @param {"ceil" | "floor"} rounding
+ */
+export function formatDuration(ms, rounding = "ceil") {
+    const totalSeconds = Math.max(0, Math[rounding](ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = totalSeconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
@@ -0,0 +1,324 @@
+/// @ts-check
+/// <reference path="./index.d.ts" />
+
+'use strict';
+
+/**
+ * Extracts the state of a `{ "total": n }` payload.
+ * The optional `extendedSeconds` extends the end of the event timer,
+ * the optional `breakdown` splits the total by source like `{ "subs": n, "bits": n }`
+ * and the optional `fulfilled` lists the points of the fulfilled goals.
+ * @param {unknown} body
+ * @returns {BucketState | null}
+ */
+export function parseBucketState(body) {
+    if (!body
+        || typeof body !== "object"
+        || Array.isArray(body)
+        || !('total' in body))
+        return null;
+
+    const total = body.total;
+    if (typeof total !== "number")
+        return null;
+
+    /** @type {BucketState} */
+    const state = { total };
+    if ('extendedSeconds' in body
+        && typeof body.extendedSeconds === "number"
+        && Number.isFinite(body.extendedSeconds)
+        && body.extendedSeconds >= 0) {
+        state.extendedSeconds = body.extendedSeconds;
+    }
+
+    if ('breakdown' in body
+        && body.breakdown
+        && typeof body.breakdown === "object"
+        && !Array.isArray(body.breakdown)) {
+        // Ignore the invalid sources only, so the others are still shown.
+        state.breakdown = Object.fromEntries(Object.entries(body.breakdown)
+            .filter(([, value]) => typeof value === "number" && Number.isFinite(value)));
+    }
+
+    if ('fulfilled' in body) {
+        const fulfilled = parseFulfilledGoals(body.fulfilled);
+        if (fulfilled) {
+            state.fulfilled = fulfilled;
+        }
+    }
+
+    return state;
+}
+
+/**
+ * Extracts the points of the fulfilled goals of the bucket or of the status file.
+ * @param {unknown} value
+ * @returns {number[] | null}
+ */
+export function parseFulfilledGoals(value) {
+    if (!Array.isArray(value))
+        return null;
+
+    return value.filter(x => typeof x === "number" && Number.isFinite(x));
+}
+
+/**
+ * Fetches the state immediately and afterwards in a fixed interval.
+ * Retries failed fetches earlier with an exponential backoff.
+ * @param {{
+ *   fetchState: () => Promise<BucketState>,
+ *   interval: number,
+ *   retry: BackoffConfig,
+ *   onState: (state: BucketState) => void,
+ *   onFailure: (reason: unknown) => void,
+ * }} options
+ * @returns {Transport}
+ */
+export function createPollingTransport({ fetchState, interval, retry, onState, onFailure }) {
+    /** @type {number | undefined} */
+    let timeout;
+    let retryDelay = retry.initialDelay;
+    // Incremented on every start and stop, so a fetch of a previous run doesn't continue polling.
+    let generation = 0;
+    let isStopped = true;
+
+    async function poll(/** @type {number} */ pollGeneration) {
+        let delay = interval;
+        /** @type {{ state: BucketState } | { error: unknown }} */
+        let result;
+        try {
+            result = { state: await fetchState() };
+        } catch (err) {
+            result = { error: err };
+        }
+
+        // Stopped while fetching, e.g. because the push connection came up and already delivered a newer state.
+        if (pollGeneration !== generation)
+            return;
+
+        try {
+            if ('state' in result) {
+                retryDelay = retry.initialDelay;
+                onState(result.state);
+            } else {
+                delay = retryDelay;
+                retryDelay = Math.min(retryDelay * 2, retry.maxDelay);
+                onFailure(result.error);
+            }
+        } catch (err) {
+            console.error("Failed to handle the polled state", err);
+        } finally {
+            // A throwing handler mustn't stop the polling for good, but a handler may have stopped it.
+            if (pollGeneration === generation) {
+                timeout = setTimeout(poll, delay, pollGeneration);
+            }
+        }
+    }
+
+    return {
+        start() {
+            if (!isStopped)
+                return;
+
+            isStopped = false;
+            poll(++generation);
+        },
+        stop() {
+            isStopped = true;
+            generation++;
+            clearTimeout(timeout);
+            timeout = undefined;
+        },
+    };
+}
+
+/**
+ * Keeps a push connection open and reconnects with an exponential backoff.
+ * The optional parseState replaces the parsing of the json by parseBucketState, e.g. to check the signature of the message first.
+ * @param {{
+ *   connect: (handlers: { onOpen: () => void, onMessage: (data: string) => void, onClose: () => void }) => { close: () => void },
+ *   reconnect: BackoffConfig,
+ *   parseState?: (data: string) => Promise<BucketState | null>,
+ *   onState: (state: BucketState) => void,
+ *   onConnectionChange: (connected: boolean) => void,
+ * }} options
+ * @returns {Transport}
+ */
+function createReconnectingTransport({ connect, reconnect, parseState = async data => parseBucketState(JSON.parse(data)), onState, onConnectionChange }) {
+    /** @type {{ close: () => void } | undefined} */
+    let connection;
+    /** @type {number | undefined} */
+    let reconnectTimeout;
+    let delay = reconnect.initialDelay;
+    let isConnected = false;
+    let isStopped = true;
+
+    function setConnected(/** @type {boolean} */ connected) {
+        if (isConnected === connected)
+            return;
+
+        isConnected = connected;
+        onConnectionChange(connected);
+    }
+
+    function scheduleReconnect() {
+        if (isStopped || reconnectTimeout !== undefined)
+            return;
+
+        reconnectTimeout = setTimeout(function () {
+            reconnectTimeout = undefined;
+            open();
+        }, delay);
+        delay = Math.min(delay * 2, reconnect.maxDelay);
+    }
+
+    function open() {
+        if (isStopped)
+            return;
+
+        // Errors and the close may be reported both, only handle the first one.
+        let isClosed = false;
+        /** @type {{ close: () => void } | undefined} */
+        let current;
+
+        try {
+            connection = current = connect({
+                onOpen() {
+                    delay = reconnect.initialDelay;
+                    setConnected(true);
+                },
+                async onMessage(data) {
+                    try {
+                        const state = await parseState(data);
+                        if (state !== null) {
+                            onState(state);
+                        }
+                    } catch (err) {
+                        console.error("Failed to parse pushed points value", err);
+                    }
+                },
+                onClose() {
+                    if (isClosed)
+                        return;
+
+                    isClosed = true;
+                    current?.close();
+                    if (connection !== current)
+                        // Already replaced or stopped
+                        return;
+
+                    connection = undefined;
+                    setConnected(false);
+                    scheduleReconnect();
+                },
+            });
+        } catch (err) {
+            console.error("Failed to open push connection", err);
+            connection = undefined;
+            setConnected(false);
+            scheduleReconnect();
+        }
+    }
+
+    return {
+        start() {
+            if (!isStopped)
+                return;
+
+            isStopped = false;
+            open();
+        },
+        stop() {
+            isStopped = true;
+            clearTimeout(reconnectTimeout);
+            reconnectTimeout = undefined;
+            connection?.close();
+            connection = undefined;
+            setConnected(false);
+        },
+    };
+}
+
+/**
+ * Receives the states as server-sent events.
+ * @param {{
+ *   url: string,
+ *   reconnect: BackoffConfig,
+ *   parseState?: (data: string) => Promise<BucketState | null>,
+ *   onState: (state: BucketState) => void,
+ *   onConnectionChange: (connected: boolean) => void,
+ * }} options
+ * @returns {Transport}
+ */
+export function createEventSourceTransport({ url, ...options }) {
+    return createReconnectingTransport({
+        ...options,
+        connect({ onOpen, onMessage, onClose }) {
+            const eventSource = new EventSource(url);
+            eventSource.onopen = onOpen;
+            eventSource.onmessage = event => onMessage(event.data);
+            // The EventSource would reconnect by itself, but without a backoff.
+            eventSource.onerror = onClose;
+            return eventSource;
+        },
+    });
+}
+
+/**
+ * Receives the states as websocket text messages.
+ * @param {{
+ *   url: string,
+ *   reconnect: BackoffConfig,
+ *   parseState?: (data: string) => Promise<BucketState | null>,
+ *   onState: (state: BucketState) => void,
+ *   onConnectionChange: (connected: boolean) => void,
+ * }} options
+ * @returns {Transport}
+ */
+export function createWebSocketTransport({ url, ...options }) {
+    return createReconnectingTransport({
+        ...options,
+        connect({ onOpen, onMessage, onClose }) {
+            const webSocket = new WebSocket(url);
+            webSocket.onopen = onOpen;
+            webSocket.onmessage = event => {
+                if (typeof event.data === "string") {
+                    onMessage(event.data);
+                }
+            };
+            webSocket.onerror = onClose;
+            webSocket.onclose = onClose;
+            return webSocket;
+        },
+    });
+}
+
+/**
+ * Uses the push transport and only polls while it is disconnected.
+ * @param {{
+ *   createPush: (onConnectionChange: (connected: boolean) => void) => Transport,
+ *   fallback: Transport,
+ * }} options
+ * @returns {Transport}
+ */
+export function createPushWithFallbackTransport({ createPush, fallback }) {
+    const push = createPush(function (connected) {
+        if (connected) {
+            fallback.stop();
+        } else {
+            fallback.start();
+        }
+    });
+
+    return {
+        start() {
+            // Poll until the push connection is established.
+            fallback.start();
+            push.start();
+        },
+        stop() {
+            push.stop();
+            fallback.stop();
+        },
+    };
+}
@@ -0,0 +1,548 @@
+// Provisions the keys and the encrypted values of the config.json of the goal scroller and the dashboard.
+//
+// Usage: node provision.mjs <command> [options]
+//
+//   generate-key
+//       Prints a new key.
+//   encrypt --key <key> (--text <text> | --file <path>) [--compress] [--tool <overlay|dashboard>]
+//       Prints the envelope of the encrypted text, --compress gzips the text first.
+//   encrypt-supporters --key <key> --file <supporters.json> [--tool dashboard]
+//       Prints the compressed envelope of the supporter map (supporter id -> name) for the data of the dashboard.
+//   encrypt-goal --key <key> --index <index> [--text <text>] [--subtext <subtext>] [--config <path>]
+//       Hides the goal of the overlay and encrypts its texts, so the surprise isn't public in the config.json.
+//       Takes the texts of the goal in the config.json, unless --text and --subtext are given.
+//   set-url --tool <overlay|dashboard> --key <key> --url <url> [--details-url <url>] [--config <path>]
+//       Encrypts the bucket url(s) and patches the config.json. The dashboard needs both urls.
+//   setup --tool <overlay|dashboard> --url <url> [--details-url <url>] [--force] [--config <path>]
+//       Generates a new key, then like set-url and urls.
+//       Refuses to replace an existing bucket url, because every shared URL would break, unless --force is given.
+//   verify --tool <overlay|dashboard> --key <key> [--config <path>]
+//       Checks that the key decrypts every encrypted value of the config.json.
+//   set-passphrase --tool dashboard --key <key> [--iterations <count>] [--config <path>]
+//       Lets the passphrase unlock the dashboard via its login form, instead of a key in the url.
+//       Prompts for the passphrase, or reads its first line from stdin, so it doesn't end up in the shell history.
+//   add-recipient --tool <overlay|dashboard> --key <key> --id <name> [--config <path>]
+//       Prints the own key of a new moderator. The first one gets a new data key, so the URLs with the old key stop working.
+//   revoke-recipient --tool <overlay|dashboard> --key <key> --id <name> [--config <path>]
+//       Removes the moderator and prints new keys for all the others, because the data key is rotated.
+//       The last moderator can't be removed, otherwise the data key would be the key of the URLs again.
+//   rotate-key --tool <overlay|dashboard> --key <key> [--config <path>]
+//       Generates a new data key and encrypts every value again. Prints the new keys of all moderators.
+//   generate-signing-key
+//       Prints the key pair of the backend. The private key signs the payloads, the public key goes into the config.json.
+//   set-signature --tool <overlay|dashboard> --public-key <key> [--config <path>]
+//       Lets the tool reject every payload without a valid signature.
+//   sign --private-key <key> --file <payload.json>
+//       Prints the signed payload { "payload": "<json string>", "signature": "<base64>" },
+//       like the backend has to write it into the bucket. The exact bytes of the file are signed.
+//   urls --tool <overlay|dashboard> --key <key> [--base <url>]
+//       Prints the url to share, the key is appended as ?key=.
+//
+// With recipients in the config.json, --key has to be the key of a recipient. It unwraps the data key,
+// which then encrypts and decrypts the values. The encrypt commands only read the recipients with --tool.
+//
+// Every command, which changes the config.json of the overlay, bumps the config version of the version.json next to it,
+// so the running overlays apply the new config.json without a reload.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import * as crypto from '../../../../overlay/everylunaever/bunathon2025/goal_scroller/crypto.mjs';
+import { collectEncrypted, formatConfig, isEncrypted, isObject, rotateDataKey } from '../shared/config-file.mjs';
+
+'use strict';
+
+const tools = {
+    overlay: {
+        config: new URL('../../../../overlay/everylunaever/bunathon2025/goal_scroller/config.json', import.meta.url),
+        path: 'overlay/everylunaever/bunathon2025/goal_scroller/',
+    },
+    dashboard: {
+        config: new URL('../dashboard/config.json', import.meta.url),
+        path: 'tools/everylunaever/bunathon2025/dashboard/',
+    },
+};
+
+const defaultBase = 'https://xeverylux.github.io';
+
+/** The recommendation of OWASP for PBKDF2 with SHA-256. */
+const defaultIterations = 600000;
+
+class UsageError extends Error { }
+
+/** @param {Record<string, string | boolean | undefined>} options */
+function getTool(options) {
+    const tool = options.tool;
+    if (tool !== 'overlay' && tool !== 'dashboard')
+        throw new UsageError("--tool has to be overlay or dashboard");
+
+    return { name: tool, ...tools[tool] };
+}
+
+/** @param {Record<string, string | boolean | undefined>} options */
+function getString(options, /** @type {string} */ name) {
+    const value = options[name];
+    if (typeof value !== "string" || value.trim() === '')
+        throw new UsageError(`--${name} is required`);
+
+    return value.trim();
+}
+
+/** @param {Record<string, string | boolean | undefined>} options */
+function getConfigUrl(options, /** @type {ReturnType<typeof getTool>} */ tool) {
+    return typeof options.config === "string" ? new URL(options.config, `file://${process.cwd()}/`) : tool.config;
+}
+
+async function readConfig(/** @type {URL} */ url) {
+    const json = JSON.parse(await readFile(url, 'utf8'));
+    if (!isObject(json))
+        throw new Error(`${url.pathname} is not a json object`);
+
+    return json;
+}
+
+/**
+ * Imports the key and unwraps the data key, if the config lists recipients.
+ * @param {Record<string, unknown>} config
+ * @param {string} base64
+ */
+async function importDataKey(config, base64) {
+    let key;
+    try {
+        key = await crypto.importKey(base64);
+    } catch {
+        throw new UsageError("--key is not a valid key");
+    }
+
+    const recipients = /** @type {{ id: string, wrappedKey: { iv: string, data: string } }[] | undefined} */(
+        Array.isArray(config.recipients) ? config.recipients : undefined);
+    const dataKey = await crypto.resolveDataKey(recipients, key);
+    if (!dataKey)
+        throw new Error("The key belongs to none of the recipients of the config.json");
+
+    return dataKey;
+}
+
+/** @param {Record<string, string | boolean | undefined>} options */
+async function importDataKeyOfOptions(options) {
+    const config = options.tool === undefined ? {} : await readConfig(getConfigUrl(options, getTool(options)));
+    return importDataKey(config, getString(options, 'key'));
+}
+
+/** The version of the config in the version.json like `2025-11-23 13:00:05`, with seconds, so two changes in a minute differ. */
+function formatVersion(/** @type {Date} */ date) {
+    const pad = (/** @type {number} */ value) => `${value}`.padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Writes the config.json. The running overlays only reload it, when the config version
+ * in the version.json next to it changes, so it is bumped too.
+ * @param {ReturnType<typeof getTool>} tool
+ * @param {URL} configUrl
+ * @param {Record<string, unknown>} config
+ */
+async function writeConfig(tool, configUrl, config) {
+    await writeFile(configUrl, formatConfig(config) + '\n');
+    console.log(`Updated ${configUrl.pathname}`);
+    if (tool.name !== 'overlay')
+        return;
+
+    const versionUrl = new URL('version.json', configUrl);
+    let version;
+    try {
+        version = JSON.parse(await readFile(versionUrl, 'utf8'));
+    } catch {
+        console.log(`No ${versionUrl.pathname}, bump its config version to apply the config.json without a reload`);
+        return;
+    }
+
+    // A plain string is the version of the scripts.
+    const scripts = isObject(version) ? version : { scripts: version };
+    await writeFile(versionUrl, JSON.stringify({ ...scripts, config: formatVersion(new Date()) }, undefined, 4) + '\n');
+    console.log(`Updated ${versionUrl.pathname}`);
+}
+
+/** @returns {{ id: string, wrappedKey: { iv: string, data: string } }[]} */
+function getRecipients(/** @type {Record<string, unknown>} */ config) {
+    return Array.isArray(config.recipients) ? config.recipients : [];
+}
+
+/**
+ * Rotates the data key of the config.json and prints the new keys.
+ * @param {ReturnType<typeof getTool>} tool
+ * @param {URL} configUrl
+ * @param {Record<string, unknown>} config
+ * @param {CryptoKey} dataKey
+ * @param {string[]} recipientIds
+ * @param {Record<string, string | boolean | undefined>} options
+ */
+async function rotate(tool, configUrl, config, dataKey, recipientIds, options) {
+    const result = await rotateDataKey(tool.name, config, dataKey, recipientIds);
+    await writeConfig(tool, configUrl, config);
+    console.log("The URLs with the previous keys stop working.");
+
+    if (recipientIds.length === 0) {
+        const key = await crypto.exportKey(result.dataKey);
+        console.log(`Key: ${key}`);
+        console.log(`URL: ${formatUrl(tool, key, options)}`);
+    }
+    for (const [id, key] of Object.entries(result.keys)) {
+        console.log(`${id}: ${formatUrl(tool, key, options)}`);
+    }
+
+    if (tool.name === 'dashboard') {
+        // The backend encrypts the supporters of the basket data with the data key.
+        console.log(`Data key of the backend: ${await crypto.exportKey(result.dataKey)}`);
+    }
+    if (result.removedPassphrase) {
+        console.log("The passphrase was removed, set it again with set-passphrase.");
+    }
+}
+
+/**
+ * @param {ReturnType<typeof getTool>} tool
+ * @param {string | undefined} key Without a key for the login with the passphrase.
+ * @param {Record<string, string | boolean | undefined>} options
+ */
+function formatUrl(tool, key, options) {
+    const base = typeof options.base === "string" ? options.base : defaultBase;
+    return `${base.replace(/\/+$/, '')}/${tool.path}${key ? `?key=${key}` : ''}`;
+}
+
+/**
+ * @param {Record<string, string | boolean | undefined>} options
+ * @param {string} key
+ */
+async function setUrls(options, key) {
+    const tool = getTool(options);
+    const configUrl = getConfigUrl(options, tool);
+    const config = await readConfig(configUrl);
+    const dataKey = await importDataKey(config, key);
+
+    switch (tool.name) {
+        case 'overlay':
+            config.encryptedBucketUrl = await crypto.encrypt(getString(options, 'url'), dataKey);
+            break;
+        case 'dashboard':
+            config.encryptedLiveBasketUrl = await crypto.encrypt(getString(options, 'url'), dataKey);
+            config.encryptedDetailsBasketUrl = await crypto.encrypt(getString(options, 'details-url'), dataKey);
+            break;
+    }
+
+    await writeConfig(tool, configUrl, config);
+}
+
+/** @type {Record<string, (options: Record<string, string | boolean | undefined>) => Promise<void>>} */
+const commands = {
+    async 'generate-key'() {
+        console.log(await crypto.exportKey(await crypto.generateKey()));
+    },
+
+    async encrypt(options) {
+        const key = await importDataKeyOfOptions(options);
+        const text = typeof options.file === "string" ? await readFile(options.file, 'utf8') : getString(options, 'text');
+        const encrypted = await crypto.encrypt(text, key, { compress: !!options.compress });
+        console.log(JSON.stringify(encrypted, undefined, 4));
+    },
+
+    async 'encrypt-supporters'(options) {
+        const key = await importDataKeyOfOptions(options);
+        const supporters = JSON.parse(await readFile(getString(options, 'file'), 'utf8'));
+        if (!isObject(supporters) || Object.values(supporters).some(x => typeof x !== "string"))
+            throw new UsageError("--file has to contain an object of the supporter names by their id");
+
+        const encrypted = await crypto.encrypt(JSON.stringify(supporters), key, { compress: true });
+        console.log(JSON.stringify(encrypted, undefined, 4));
+    },
+
+    async 'encrypt-goal'(options) {
+        const tool = getTool({ ...options, tool: 'overlay' });
+        const configUrl = getConfigUrl(options, tool);
+        const config = await readConfig(configUrl);
+        const key = await importDataKey(config, getString(options, 'key'));
+
+        const index = Number(getString(options, 'index'));
+        const goals = Array.isArray(config.goals) ? config.goals : [];
+        const goal = goals[index];
+        if (!Number.isInteger(index) || !isObject(goal))
+            throw new UsageError(`--index has to be the index of one of the ${goals.length} goals`);
+        if (goal.encrypted)
+            throw new UsageError(`The texts of goal ${index} are already encrypted`);
+
+        const { text, subtext, ...others } = goal;
+        /** @type {Record<string, unknown>} */
+        const texts = {
+            text: typeof options.text === "string" ? options.text : text,
+            subtext: typeof options.subtext === "string" ? options.subtext : subtext,
+        };
+        if (texts.text === undefined)
+            throw new UsageError(`Goal ${index} has no text, use --text`);
+
+        goals[index] = { ...others, hidden: true, encrypted: await crypto.encrypt(JSON.stringify(texts), key) };
+
+        await writeConfig(tool, configUrl, config);
+    },
+
+    async 'set-url'(options) {
+        await setUrls(options, getString(options, 'key'));
+    },
+
+    async setup(options) {
+        const tool = getTool(options);
+        // A new key would make the other values unreadable, they need the existing key and set-url.
+        const config = await readConfig(getConfigUrl(options, tool));
+        const encrypted = collectEncrypted(tool.name, config).filter(x => isEncrypted(x.value));
+        const others = encrypted.filter(x => !/BucketUrl$|BasketUrl$/.test(x.name));
+        if (config.recipients || others.length > 0)
+            throw new UsageError(`The config.json already has ${config.recipients ? "recipients" : others.map(x => x.name).join(', ')}, use set-url with the existing key`);
+        if (encrypted.length > 0 && !options.force)
+            throw new UsageError(`The config.json already has ${encrypted.map(x => x.name).join(', ')}, a new key breaks every shared URL. Use set-url with the existing key or --force`);
+
+        const key = await crypto.exportKey(await crypto.generateKey());
+        await setUrls(options, key);
+        console.log(`Key: ${key}`);
+        console.log(`URL: ${formatUrl(tool, key, options)}`);
+    },
+
+    async verify(options) {
+        const tool = getTool(options);
+        const configUrl = getConfigUrl(options, tool);
+        const config = await readConfig(configUrl);
+        const dataKey = await importDataKey(config, getString(options, 'key'));
+
+        let failures = 0;
+        for (const { name, value } of collectEncrypted(tool.name, config)) {
+            if (!isEncrypted(value)) {
+                console.log(`missing  ${name}`);
+                failures++;
+                continue;
+            }
+
+            try {
+                await crypto.decrypt(value, dataKey);
+                console.log(`ok       ${name}`);
+            } catch {
+                console.log(`invalid  ${name}`);
+                failures++;
+            }
+        }
+
+        if (failures > 0)
+            throw new Error(`The key doesn't decrypt ${failures} value(s) of ${configUrl.pathname}`);
+    },
+
+    async 'add-recipient'(options) {
+        const tool = getTool(options);
+        const id = getString(options, 'id');
+        const configUrl = getConfigUrl(options, tool);
+        const config = await readConfig(configUrl);
+        const dataKey = await importDataKey(config, getString(options, 'key'));
+
+        const recipients = getRecipients(config);
+        if (recipients.some(x => x.id === id))
+            throw new UsageError(`${id} is already a recipient`);
+
+        if (recipients.length === 0) {
+            // The current data key is known to everyone with an URL of the time before the recipients.
+            await rotate(tool, configUrl, config, dataKey, [id], options);
+            return;
+        }
+
+        const { key, recipient } = await crypto.createRecipient(id, dataKey);
+        config.recipients = [...recipients, recipient];
+
+        await writeConfig(tool, configUrl, config);
+        console.log(`${id}: ${formatUrl(tool, key, options)}`);
+    },
+
+    async 'revoke-recipient'(options) {
+        const tool = getTool(options);
+        const id = getString(options, 'id');
+        const configUrl = getConfigUrl(options, tool);
+        const config = await readConfig(configUrl);
+        const dataKey = await importDataKey(config, getString(options, 'key'));
+
+        const recipientIds = getRecipients(config).map(x => x.id);
+        if (!recipientIds.includes(id))
+            throw new UsageError(`${id} is none of the recipients: ${recipientIds.join(', ')}`);
+        if (recipientIds.length === 1)
+            throw new UsageError(`${id} is the last recipient, add another one first`);
+
+        // The revoked recipient could have kept the unwrapped data key.
+        await rotate(tool, configUrl, config, dataKey, recipientIds.filter(x => x !== id), options);
+    },
+
+    async 'rotate-key'(options) {
+        const tool = getTool(options);
+        const configUrl = getConfigUrl(options, tool);
+        const config = await readConfig(configUrl);
+        const dataKey = await importDataKey(config, getString(options, 'key'));
+
+        await rotate(tool, configUrl, config, dataKey, getRecipients(config).map(x => x.id), options);
+    },
+
+    async 'set-passphrase'(options) {
+        const tool = getTool(options);
+        if (tool.name !== 'dashboard')
+            throw new UsageError("Only the dashboard has a login form for the passphrase");
+
+        const iterations = typeof options.iterations === "string" ? Number(options.iterations) : defaultIterations;
+        if (!Number.isInteger(iterations) || iterations < 100000)
+            throw new UsageError("--iterations has to be an integer of at least 100000");
+
+        const configUrl = getConfigUrl(options, tool);
+        const config = await readConfig(configUrl);
+        const dataKey = await importDataKey(config, getString(options, 'key'));
+        config.passphrase = await crypto.createPassphrase(await readPassphrase(), dataKey, iterations);
+
+        await writeConfig(tool, configUrl, config);
+        console.log(`URL: ${formatUrl(tool, undefined, options)}`);
+    },
+
+    async 'generate-signing-key'() {
+        const { publicKey, privateKey } = await crypto.generateSigningKeyPair();
+        console.log(`Public key: ${publicKey}`);
+        console.log(`Private key: ${privateKey}`);
+    },
+
+    async 'set-signature'(options) {
+        const tool = getTool(options);
+        const publicKey = getString(options, 'public-key');
+        await crypto.importVerifyKey(publicKey).catch(() => { throw new UsageError("--public-key is not a valid public key"); });
+
+        const configUrl = getConfigUrl(options, tool);
+        const config = await readConfig(configUrl);
+        config.signature = { ...(isObject(config.signature) ? config.signature : {}), publicKey };
+
+        await writeConfig(tool, configUrl, config);
+    },
+
+    async sign(options) {
+        const payload = await readFile(getString(options, 'file'), 'utf8');
+        if (!isObject(JSON.parse(payload)))
+            throw new UsageError("--file has to contain a json object");
+
+        console.log(JSON.stringify(await crypto.signPayload(payload, getString(options, 'private-key')), undefined, 2));
+    },
+
+    async urls(options) {
+        const tool = getTool(options);
+        const key = getString(options, 'key');
+        await crypto.importKey(key).catch(() => { throw new UsageError("--key is not a valid key"); });
+        console.log(formatUrl(tool, key, options));
+    },
+};
+
+/**
+ * Reads a line from the terminal without echoing it.
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+async function promptHidden(question) {
+    const stdin = process.stdin;
+    process.stderr.write(question);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+
+    try {
+        return await new Promise(function (resolve, reject) {
+            let input = '';
+
+            function onData(/** @type {string} */ chunk) {
+                for (const char of chunk) {
+                    switch (char) {
+                        case '\r':
+                        case '\n':
+                        case '\u0004':
+                            stdin.off('data', onData);
+                            resolve(input);
+                            return;
+                        case '\u0003':
+                            stdin.off('data', onData);
+                            reject(new UsageError("Cancelled"));
+                            return;
+                        case '\b':
+                        case '\u007f':
+                            input = input.slice(0, -1);
+                            break;
+                        default:
+                            input += char;
+                            break;
+                    }
+                }
+            }
+
+            stdin.on('data', onData);
+        });
+    } finally {
+        stdin.setRawMode(false);
+        stdin.pause();
+        process.stderr.write('\n');
+    }
+}
+
+/**
+ * Prompts twice for the passphrase in a terminal, otherwise reads the first line of stdin.
+ * @returns {Promise<string>}
+ */
+async function readPassphrase() {
+    let passphrase;
+    if (process.stdin.isTTY) {
+        passphrase = await promptHidden("Passphrase: ");
+        if (await promptHidden("Repeat the passphrase: ") !== passphrase)
+            throw new UsageError("The passphrases don't match");
+    } else {
+        let input = '';
+        for await (const chunk of process.stdin) {
+            input += chunk;
+        }
+        passphrase = input.split(/\r?\n/)[0];
+    }
+
+    if (!passphrase)
+        throw new UsageError("The passphrase must not be empty");
+    return passphrase;
+}
+
+async function main() {
+    const { positionals, values } = parseArgs({
+        allowPositionals: true,
+        options: {
+            tool: { type: 'string' },
+            key: { type: 'string' },
+            url: { type: 'string' },
+            'details-url': { type: 'string' },
+            config: { type: 'string' },
+            text: { type: 'string' },
+            subtext: { type: 'string' },
+            index: { type: 'string' },
+            id: { type: 'string' },
+            force: { type: 'boolean' },
+            file: { type: 'string' },
+            compress: { type: 'boolean' },
+            iterations: { type: 'string' },
+            'public-key': { type: 'string' },
+            'private-key': { type: 'string' },
+            base: { type: 'string' },
+        },
+    });
+
+    const command = commands[positionals[0] ?? ''];
+    if (!command || positionals.length !== 1)
+        throw new UsageError(`Unknown command, use one of: ${Object.keys(commands).join(', ')}`);
+
+    await command(values);
+}
+
+try {
+    await main();
+} catch (err) {
+    if (err instanceof UsageError || err instanceof TypeError && 'code' in err && String(err.code).startsWith('ERR_PARSE_ARGS')) {
+        console.error(`${err.message}\nSee the usage at the top of provision.mjs.`);
+        process.exitCode = 2;
+    } else {
+        console.error(err instanceof Error ? err.message : err);
+        process.exitCode = 1;
+    }
+}
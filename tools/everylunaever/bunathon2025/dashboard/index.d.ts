@@ -1,10 +1,48 @@
 declare var loadingState: HTMLSpanElement;
+declare var loginForm: HTMLFormElement;
+declare var passphraseInput: HTMLInputElement;
+declare var loginButton: HTMLButtonElement;
+declare var loginError: HTMLParagraphElement;
+declare var signatureWarning: HTMLParagraphElement;
 
 declare var openSubpageClicked: ((type: UISubpageType) => void) | undefined;
 
 type TakeIfMatch<ToTake, TActual> = TActual extends ToTake ? ToTake : never;
 
-type Config = typeof import('./config.json');
+/** The data key, wrapped for the key of a single moderator. */
+type KeyRecipient = {
+    /** The name of the moderator, to find the entry again when revoking it. */
+    id: string,
+    wrappedKey: { iv: string, data: string },
+};
+
+/** Unlocks the data key with a passphrase instead of a key in the url. */
+type PassphraseConfig = {
+    /** The parameters of PBKDF2, the salt as base64. */
+    salt: string,
+    iterations: number,
+    hash: string,
+    /** A known text encrypted with the derived key, to tell a wrong passphrase. */
+    verification: { iv: string, data: string },
+    /** The data key, wrapped with the derived key. */
+    wrappedKey: { iv: string, data: string },
+};
+
+type Config = typeof import('./config.json') & {
+    /**
+     * Everything is encrypted with a data key, which is wrapped for the key of every moderator.
+     * Without recipients, the key of the url is the data key itself.
+     */
+    recipients?: KeyRecipient[],
+    passphrase?: PassphraseConfig,
+    /**
+     * The ECDSA P-256 public key of the backend as base64 of the SPKI. Rejects every payload without its signature.
+     * The backend signs the raw json like `{ "payload": "<json string>", "signature": "<base64>" }`.
+     */
+    signature?: { publicKey: string },
+};
+
+type SignedSource = 'live' | 'details';
 
 type LeaderboardEntry = {
     supporter: string;
@@ -33,8 +71,18 @@ type DashboardEvents = EncryptedDashboardLiveJsonRaw['events'][0] extends Dashbo
     ? EncryptedDashboardLiveJsonRaw['events'][0]['category'] extends string ? DashboardEvent[]
     : never : never;
 
+/** The envelope of crypto.encrypt, or the legacy packed string of the iv followed by the data. */
+type EncryptedSupporters = string | {
+    version?: number,
+    algorithm?: string,
+    compression?: string,
+    iv: string,
+    data: string,
+};
+
 type EncryptedDashboardLiveJson =
-    Omit<Omit<EncryptedDashboardLiveJsonRaw, 'leaderboards' | 'events'> & {
+    Omit<Omit<EncryptedDashboardLiveJsonRaw, 'leaderboards' | 'events' | 'encryptedSupporters'> & {
+        encryptedSupporters: EncryptedSupporters;
         leaderboards: {
             [K in LeaderboardKeys]: TakeIfMatch<LeaderboardGroup, EncryptedDashboardLiveJsonRaw['leaderboards'][K]>;
         };
@@ -84,7 +132,8 @@ type DashboardDetailsEntries<
     TKey extends DashboardDetailsPerUserFields,
     TEntry> = EncryptedDashboardDetailsJsonRaw[TKey][0] extends TEntry ? TEntry[] : never;
 
-type EncryptedDashboardDetailsJson = Omit<Omit<EncryptedDashboardDetailsJsonRaw, DashboardDetailsPerUserFields> & {
+type EncryptedDashboardDetailsJson = Omit<Omit<EncryptedDashboardDetailsJsonRaw, DashboardDetailsPerUserFields | 'encryptedSupporters'> & {
+    encryptedSupporters: EncryptedSupporters;
     bitsPerUser: DashboardDetailsEntries<'bitsPerUser', BitsPerUserEntry>;
     subbombsPerUser: DashboardDetailsEntries<'subbombsPerUser', SubbombsPerUserEntry>;
     individualsubsPerUser: DashboardDetailsEntries<'individualsubsPerUser', SubsPerUserEntry>;
@@ -2,7 +2,7 @@
 /// <reference path="./index.d.ts" />
 /// <reference path="./globals.d.ts" />
 
-import * as crypto from "./crypto.mjs";
+import * as crypto from "../../../../overlay/everylunaever/bunathon2025/goal_scroller/crypto.mjs";
 
 'use strict';
 
@@ -82,7 +82,14 @@ async function tryLoadKeyFromSearch() {
         return;
 
     try {
-        const imported = await crypto.importKey(base64);
+        // The key of a moderator only unwraps the data key, unless the config has no recipients.
+        const imported = await crypto.resolveDataKey(config.recipients, await crypto.importKey(base64));
+        if (!imported) {
+            // Revoked, don't try it again on the next visit.
+            localStorage.removeItem('bunathon2025-dashboard-key');
+            return;
+        }
+
         localStorage.setItem('bunathon2025-dashboard-key', base64);
         if (location.search !== '') {
             const url = location.toString();
@@ -94,18 +101,142 @@ async function tryLoadKeyFromSearch() {
     }
 }
 
+/**
+ * Unlocks the data key with the derived key of the passphrase.
+ * @returns {Promise<CryptoKey | undefined>} undefined, if the derived key doesn't match the verification blob.
+ */
+async function unlockWithPassphraseKey(
+        /** @type {PassphraseConfig} */ passphraseConfig,
+        /** @type {CryptoKey} */ derivedKey) {
+    if (!await crypto.verifyPassphraseKey(passphraseConfig, derivedKey))
+        return;
+
+    return await crypto.unwrapDataKey(passphraseConfig.wrappedKey, derivedKey);
+}
+
+/**
+ * Shows the login form until the passphrase unlocks the data key.
+ * The derived key is kept instead of the passphrase, so a reload skips the slow derivation.
+ * It is kept in the sessionStorage only, so it is gone with the closed tab and doesn't unlock the data key forever.
+ * @returns {Promise<CryptoKey | undefined>}
+ */
+async function tryLoadKeyFromPassphrase() {
+    const passphraseConfig = config.passphrase;
+    if (!passphraseConfig)
+        return;
+
+    // Previous versions kept the derived key permanently.
+    localStorage.removeItem('bunathon2025-dashboard-passphrase-key');
+
+    const storedKey = sessionStorage.getItem('bunathon2025-dashboard-passphrase-key');
+    if (storedKey) {
+        try {
+            const unlocked = await unlockWithPassphraseKey(passphraseConfig, await crypto.importKey(storedKey));
+            if (unlocked)
+                return unlocked;
+        } catch {
+
+        }
+
+        // The passphrase was changed.
+        sessionStorage.removeItem('bunathon2025-dashboard-passphrase-key');
+    }
+
+    // Every wrong passphrase doubles the wait until the next try.
+    const retryDelay = { initial: 1000, max: 60000 };
+    let failures = 0;
+
+    loadingState.innerText = '';
+    document.body.setAttribute('data-login', '');
+    passphraseInput.focus();
+
+    return await new Promise(function (resolve) {
+        loginForm.addEventListener('submit', async function onSubmit(event) {
+            event.preventDefault();
+            loginButton.disabled = true;
+            loginError.innerText = "Prüfe...";
+
+            try {
+                const derivedKey = await crypto.deriveKey(passphraseInput.value, passphraseConfig);
+                const unlocked = await unlockWithPassphraseKey(passphraseConfig, derivedKey);
+                if (unlocked) {
+                    sessionStorage.setItem('bunathon2025-dashboard-passphrase-key', await crypto.exportKey(derivedKey));
+                    loginForm.removeEventListener('submit', onSubmit);
+                    document.body.removeAttribute('data-login');
+                    loadingState.innerText = "Loading...";
+                    resolve(unlocked);
+                    return;
+                }
+            } catch (err) {
+                console.error("Failed to unlock with the passphrase", err);
+            }
+
+            failures++;
+            const delay = Math.min(retryDelay.initial * 2 ** (failures - 1), retryDelay.max);
+            loginError.innerText = `Falsche Passphrase. Nächster Versuch in ${Math.ceil(delay / 1000)} s.`;
+            passphraseInput.select();
+            await wait(delay);
+            loginError.innerText = "Falsche Passphrase.";
+            loginButton.disabled = false;
+        });
+    });
+}
+
+/** @returns {Promise<CryptoKey | undefined>} */
+async function loadVerifyKey() {
+    // The debug json files aren't signed.
+    if (!config.signature || isDevelopment)
+        return;
+
+    return await crypto.importVerifyKey(config.signature.publicKey);
+}
+
+/**
+ * The sources, whose latest payload was rejected.
+ * @type {Set<SignedSource>}
+ */
+const rejectedSources = new Set();
+
+/**
+ * Anyone who knows the basket url could write into the basket, the encryption only hides the url.
+ * So the payloads without the signature of our backend are rejected with a warning instead of shown.
+ * The signature is checked on the raw text, before the payload is parsed.
+ * @returns {Promise<unknown>} The parsed payload, undefined if it was rejected.
+ */
+async function parseSignedPayload(
+        /** @type {CryptoKey | undefined} */ verifyKey,
+        /** @type {SignedSource} */ source,
+        /** @type {string} */ text) {
+    if (!verifyKey)
+        return JSON.parse(text);
+
+    const payload = await crypto.verifyPayload(text, verifyKey);
+    if (payload !== null) {
+        rejectedSources.delete(source);
+    } else {
+        rejectedSources.add(source);
+    }
+
+    const names = Array.from(rejectedSources, x => x === 'live' ? "Live-Daten" : "Detail-Daten");
+    signatureWarning.innerText = names.length === 0 ? ''
+        : `Die ${names.join(' und ')} haben keine gültige Signatur und werden nicht angezeigt.`;
+    return payload === null ? undefined : JSON.parse(payload);
+}
+
 /** @returns {Promise<Record<string, string>>} */
 async function decryptSupporters(
         /** @type {CryptoKey} */ key,
-        /** @type {string} */ encryptedSupporters) {
+        /** @type {EncryptedSupporters} */ encryptedSupporters) {
     const plaintext = await crypto.decrypt(encryptedSupporters, key);
     return /** @type {Record<string, string>} */(JSON.parse(plaintext));
 }
 
-async function createLiveStateLoader(/** @type {CryptoKey} */ key) {
+async function createLiveStateLoader(
+        /** @type {CryptoKey} */ key,
+        /** @type {CryptoKey | undefined} */ verifyKey) {
     // We don't want to have the basket url public for everyone, because they could mess with our data.
     // So we protect it with a symmetric key, so only a limited group of user can access it.
-    // This was created together with the key via crypto.initialize.
+    // This is created together with the key via tools/everylunaever/bunathon2025/cli/provision.mjs.
     const encryptedBasketUrl = config.encryptedLiveBasketUrl;
 
     const url = isDevelopment ? './debug-dashboard-live.json'
@@ -132,7 +263,11 @@ async function createLiveStateLoader(/** @type {CryptoKey} */ key) {
             if (!response.ok)
                 return null;
 
-            const encrypted = /** @type {EncryptedDashboardLiveJson} */(await response.json());
+            const json = await parseSignedPayload(verifyKey, 'live', await response.text());
+            if (json === undefined)
+                return null;
+
+            const encrypted = /** @type {EncryptedDashboardLiveJson} */(json);
 
             const supporters = await decryptSupporters(key, encrypted.encryptedSupporters);
             const result = /** @type {DecryptedDashboardLiveJson} */(encrypted);
@@ -147,10 +282,12 @@ async function createLiveStateLoader(/** @type {CryptoKey} */ key) {
     };
 }
 
-async function createDetailsStateLoader(/** @type {CryptoKey} */ key) {
+async function createDetailsStateLoader(
+        /** @type {CryptoKey} */ key,
+        /** @type {CryptoKey | undefined} */ verifyKey) {
     // We don't want to have the basket url public for everyone, because they could mess with our data.
     // So we protect it with a symmetric key, so only a limited group of user can access it.
-    // This was created together with the key via crypto.initialize.
+    // This is created together with the key via tools/everylunaever/bunathon2025/cli/provision.mjs.
     const encryptedBasketUrl = config.encryptedDetailsBasketUrl;
 
     const url = isDevelopment ? './debug-dashboard-details.json'
@@ -185,7 +322,11 @@ async function createDetailsStateLoader(/** @type {CryptoKey} */ key) {
             if (!response.ok)
                 return null;
 
-            const encrypted = /** @type {EncryptedDashboardDetailsJson} */(await response.json());
+            const json = await parseSignedPayload(verifyKey, 'details', await response.text());
+            if (json === undefined)
+                return null;
+
+            const encrypted = /** @type {EncryptedDashboardDetailsJson} */(json);
 
             const supporters = await decryptSupporters(key, encrypted.encryptedSupporters);
             const result = /** @type {DecryptedDashboardDetailsJson} */(encrypted);
@@ -289,19 +430,29 @@ function getTableCell(
 
 const app = await (async function () {
 
-    const key = await tryLoadKeyFromSearch();
+    const key = await tryLoadKeyFromSearch() ?? await tryLoadKeyFromPassphrase();
     if (!key) {
         loadingState.innerText = "Invalid key";
         return;
     }
 
-    const fetchLive = await createLiveStateLoader(key);
+    /** @type {CryptoKey | undefined} */
+    let verifyKey;
+    try {
+        verifyKey = await loadVerifyKey();
+    } catch (err) {
+        console.error("Failed to import the public key", err);
+        loadingState.innerText = "Invalid public key";
+        return;
+    }
+
+    const fetchLive = await createLiveStateLoader(key, verifyKey);
     if (!fetchLive) {
         loadingState.innerText = "Invalid key";
         return;
     }
 
-    const fetchDetails = await createDetailsStateLoader(key);
+    const fetchDetails = await createDetailsStateLoader(key, verifyKey);
     if (!fetchDetails) {
         loadingState.innerText = "Invalid key";
         return;
@@ -0,0 +1,41 @@
+/// <reference path="../../../../overlay/everylunaever/bunathon2025/goal_scroller/index.d.ts" />
+
+declare var loadState: HTMLSpanElement;
+declare var configFileInput: HTMLInputElement;
+declare var reloadConfigButton: HTMLButtonElement;
+declare var languageInput: HTMLInputElement;
+declare var addLanguageButton: HTMLButtonElement;
+declare var languageList: HTMLSpanElement;
+declare var goalRowTemplate: HTMLTemplateElement;
+declare var goalTableHead: HTMLTableRowElement;
+declare var goalTableBody: HTMLTableSectionElement;
+declare var addGoalButton: HTMLButtonElement;
+declare var sortGoalsButton: HTMLButtonElement;
+declare var validationErrors: HTMLUListElement;
+declare var previewFrame: HTMLIFrameElement;
+declare var pointsSlider: HTMLInputElement;
+declare var pointsInput: HTMLInputElement;
+declare var keyInput: HTMLInputElement;
+declare var generateKeyButton: HTMLButtonElement;
+declare var bucketUrlInput: HTMLInputElement;
+declare var encryptBucketUrlButton: HTMLButtonElement;
+declare var relayUrlInput: HTMLInputElement;
+declare var encryptRelayUrlButton: HTMLButtonElement;
+declare var encryptionResult: HTMLParagraphElement;
+declare var recipientState: HTMLParagraphElement;
+declare var recipientList: HTMLUListElement;
+declare var recipientIdInput: HTMLInputElement;
+declare var addRecipientButton: HTMLButtonElement;
+declare var rotateDataKeyButton: HTMLButtonElement;
+declare var recipientResult: HTMLParagraphElement;
+declare var downloadButton: HTMLButtonElement;
+declare var copyButton: HTMLButtonElement;
+declare var exportOutput: HTMLTextAreaElement;
+
+type EditorModel = {
+    /** The loaded config.json, its goals are edited separately. */
+    config: Record<string, unknown>,
+    goals: GoalConfig[],
+    /** The languages of the goal texts. Empty, if the texts are plain strings for all languages. */
+    languages: string[],
+};
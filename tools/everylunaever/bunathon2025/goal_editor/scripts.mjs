@@ -0,0 +1,650 @@
+/// @ts-check
+/// <reference path="./index.d.ts" />
+
+import * as crypto from "../../../../overlay/everylunaever/bunathon2025/goal_scroller/crypto.mjs";
+import { validateConfig } from "../../../../overlay/everylunaever/bunathon2025/goal_scroller/config.mjs";
+import { formatConfig, rotateDataKey } from "../shared/config-file.mjs";
+
+'use strict';
+
+const scrollerPath = '../../../../overlay/everylunaever/bunathon2025/goal_scroller/';
+
+function setTextContentIfChanged(
+        /** @type {HTMLElement} */ element,
+        /** @type {string} */ text
+) {
+    if (element.textContent === text)
+        return;
+
+    element.textContent = text;
+}
+
+/** @returns {value is Record<string, unknown>} */
+function isObject(/** @type {unknown} */ value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+const editor = (function () {
+    const settings = {
+        previewDelay: 500,
+    };
+
+    /** @type {EditorModel} */
+    const model = {
+        config: {},
+        goals: [],
+        languages: [],
+    };
+
+    /** @type {number | undefined} */
+    let previewTimeout;
+
+    /** The languages used by the texts of the goals. */
+    function collectLanguages(/** @type {GoalConfig[]} */ goals) {
+        /** @type {Set<string>} */
+        const languages = new Set();
+        for (const goal of goals) {
+            for (const text of [goal.text, goal.subtext]) {
+                if (isObject(text)) {
+                    Object.keys(text).forEach(x => languages.add(x));
+                }
+            }
+        }
+        return [...languages];
+    }
+
+    /**
+     * @param {unknown} json
+     * @param {string} source
+     */
+    function load(json, source) {
+        if (!isObject(json) || !Array.isArray(json.goals)) {
+            setTextContentIfChanged(loadState, `${source} ist keine config.json mit 'goals'.`);
+            return;
+        }
+
+        const { goals, ...config } = json;
+        model.config = config;
+        model.goals = /** @type {GoalConfig[]} */(goals.map(x => isObject(x) ? { ...x } : x));
+        model.languages = collectLanguages(model.goals);
+        setTextContentIfChanged(loadState, `${source} mit ${model.goals.length} Goals geladen.`);
+
+        const maximum = Math.max(0, ...model.goals.map(x => typeof x.points === "number" ? x.points : 0));
+        pointsSlider.max = `${Math.ceil(maximum * 1.1)}`;
+
+        renderGoals();
+        renderRecipients();
+        update();
+    }
+
+    async function loadScrollerConfig() {
+        try {
+            const response = await fetch(`${scrollerPath}config.json`, {
+                method: 'GET',
+                // Ignore the disk cache and rely on the 304 Not Modified response
+                cache: 'no-cache',
+            });
+            if (!response.ok)
+                throw new Error(`${response.status} ${response.statusText}`);
+
+            load(await response.json(), "config.json des Goal-Scrollers");
+        } catch (err) {
+            console.error("Failed to load config.json", err);
+            setTextContentIfChanged(loadState, `Die config.json des Goal-Scrollers konnte nicht geladen werden: ${err}`);
+        }
+    }
+
+    async function loadFile(/** @type {File} */ file) {
+        try {
+            load(JSON.parse(await file.text()), file.name);
+        } catch (err) {
+            setTextContentIfChanged(loadState, `${file.name} konnte nicht gelesen werden: ${err}`);
+        }
+    }
+
+    /** @returns {Record<string, unknown>} */
+    function buildConfig() {
+        return {
+            ...model.config,
+            goals: model.goals,
+        };
+    }
+
+    /**
+     * The text of the language, or the plain text, if the editor has no languages.
+     * A plain text belongs to the first language.
+     * @param {LocalizedText | undefined} text
+     * @param {string | null} language
+     */
+    function getText(text, language) {
+        if (text === undefined)
+            return '';
+
+        if (typeof text === "string")
+            return language === null || language === model.languages[0] ? text : '';
+
+        return language === null ? Object.values(text)[0] ?? '' : text[language] ?? '';
+    }
+
+    /**
+     * @param {LocalizedText | undefined} text
+     * @param {string | null} language
+     * @param {string} value
+     * @returns {LocalizedText | undefined}
+     */
+    function setText(text, language, value) {
+        if (language === null)
+            return value === '' ? undefined : value;
+
+        /** @type {Record<string, string>} */
+        const texts = typeof text === "string" ? { [model.languages[0]]: text }
+            : { ...text };
+        if (value === '') {
+            delete texts[language];
+        } else {
+            texts[language] = value;
+        }
+        return Object.keys(texts).length === 0 ? undefined : texts;
+    }
+
+    /** @returns {(string | null)[]} The columns of the texts, null for the plain texts. */
+    function getTextColumns() {
+        return model.languages.length === 0 ? [null] : model.languages;
+    }
+
+    function renderLanguages() {
+        languageList.replaceChildren(...model.languages.map(function (language) {
+            const element = document.createElement('span');
+            element.className = 'language';
+            element.textContent = language;
+            return element;
+        }));
+    }
+
+    function renderGoals() {
+        renderLanguages();
+
+        const columns = getTextColumns();
+        const headers = [
+            "#",
+            "Punkte",
+            ...columns.map(x => x === null ? "Text" : `Text [${x}]`),
+            ...columns.map(x => x === null ? "Untertext" : `Untertext [${x}]`),
+            "Versteckt",
+            "",
+        ];
+        goalTableHead.replaceChildren(...headers.map(function (header) {
+            const element = document.createElement('th');
+            element.textContent = header;
+            return element;
+        }));
+
+        goalTableBody.replaceChildren(...model.goals.map(function (goal, index) {
+            const row = /** @type {HTMLTableRowElement} */(/** @type {Element} */(goalRowTemplate.content.cloneNode(true)).firstElementChild);
+
+            setTextContentIfChanged(/** @type {HTMLElement} */(row.querySelector('td.index')), `${index + 1}`);
+
+            const goalPointsInput = /** @type {HTMLInputElement} */(row.querySelector('td.points input'));
+            goalPointsInput.value = `${goal.points}`;
+            goalPointsInput.addEventListener('input', function () {
+                goal.points = goalPointsInput.valueAsNumber;
+                update();
+            });
+
+            const hiddenCell = /** @type {HTMLTableCellElement} */(row.querySelector('td.hidden'));
+            for (const field of /** @type {const} */(["text", "subtext"])) {
+                for (const language of columns) {
+                    const cell = document.createElement('td');
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    if (goal.encrypted) {
+                        // The texts are only known to the key owners.
+                        input.disabled = true;
+                        input.placeholder = "(verschlüsselt)";
+                    } else {
+                        input.value = getText(goal[field], language);
+                        input.addEventListener('input', function () {
+                            const text = setText(goal[field], language, input.value);
+                            if (text === undefined) {
+                                delete goal[field];
+                            } else {
+                                goal[field] = text;
+                            }
+                            update();
+                        });
+                    }
+                    cell.appendChild(input);
+                    row.insertBefore(cell, hiddenCell);
+                }
+            }
+
+            const hiddenInput = /** @type {HTMLInputElement} */(hiddenCell.querySelector('input'));
+            hiddenInput.checked = goal.hidden === true;
+            hiddenInput.addEventListener('change', async function () {
+                const isChanged = hiddenInput.checked
+                    ? await hideGoal(goal)
+                    : await revealGoal(goal);
+                if (!isChanged) {
+                    hiddenInput.checked = !hiddenInput.checked;
+                    return;
+                }
+
+                renderGoals();
+                update();
+            });
+
+            const moveUpButton = /** @type {HTMLButtonElement} */(row.querySelector('button.move-up'));
+            moveUpButton.disabled = index === 0;
+            moveUpButton.addEventListener('click', () => moveGoal(index, index - 1));
+
+            const moveDownButton = /** @type {HTMLButtonElement} */(row.querySelector('button.move-down'));
+            moveDownButton.disabled = index === model.goals.length - 1;
+            moveDownButton.addEventListener('click', () => moveGoal(index, index + 1));
+
+            /** @type {HTMLButtonElement} */(row.querySelector('button.remove')).addEventListener('click', function () {
+                model.goals.splice(index, 1);
+                renderGoals();
+                update();
+            });
+
+            return row;
+        }));
+    }
+
+    function moveGoal(/** @type {number} */ from, /** @type {number} */ to) {
+        const [goal] = model.goals.splice(from, 1);
+        model.goals.splice(to, 0, goal);
+        renderGoals();
+        update();
+    }
+
+    function addGoal() {
+        const lastPoints = model.goals[model.goals.length - 1]?.points ?? 0;
+        model.goals.push({
+            points: lastPoints + 100,
+            text: model.languages.length === 0 ? "Neues Goal" : { [model.languages[0]]: "Neues Goal" },
+        });
+        renderGoals();
+        update();
+    }
+
+    function sortGoals() {
+        model.goals.sort((a, b) => a.points - b.points);
+        renderGoals();
+        update();
+    }
+
+    function addLanguage() {
+        const language = languageInput.value.trim();
+        if (!language || model.languages.includes(language))
+            return;
+
+        try {
+            Intl.getCanonicalLocales(language);
+        } catch {
+            setTextContentIfChanged(loadState, `"${language}" ist keine gültige Sprache.`);
+            return;
+        }
+
+        model.languages.push(language);
+        languageInput.value = '';
+        renderGoals();
+    }
+
+    /** Marks the rows of the goals, which are mentioned by the errors. */
+    function renderValidation(/** @type {string[]} */ errors) {
+        validationErrors.replaceChildren(...errors.map(function (error) {
+            const element = document.createElement('li');
+            element.textContent = error;
+            return element;
+        }));
+
+        /** @type {Set<number>} */
+        const invalidGoals = new Set();
+        for (const error of errors) {
+            const match = /^'goals\[(\d+)\]/.exec(error);
+            if (match) {
+                invalidGoals.add(Number(match[1]));
+            }
+        }
+
+        Array.from(goalTableBody.rows).forEach(function (row, index) {
+            row.toggleAttribute('data-invalid', invalidGoals.has(index));
+        });
+    }
+
+    /** Validates the edited config, updates the export and reloads the preview. */
+    function update() {
+        const config = buildConfig();
+        const errors = validateConfig(config);
+        renderValidation(errors);
+
+        exportOutput.value = formatConfig(config);
+        downloadButton.disabled = errors.length > 0;
+        copyButton.disabled = errors.length > 0;
+
+        // The overlay reads its config only once, so the preview is reloaded after the changes.
+        clearTimeout(previewTimeout);
+        previewTimeout = setTimeout(function () {
+            previewFrame.src = `${scrollerPath}index.html?preview`;
+        }, settings.previewDelay);
+    }
+
+    function setPoints(/** @type {number} */ points) {
+        pointsSlider.value = `${points}`;
+        pointsInput.value = `${points}`;
+        postToPreview({ type: "goal-editor:points", total: points });
+    }
+
+    function postToPreview(/** @type {PreviewMessage} */ message) {
+        previewFrame.contentWindow?.postMessage(message, location.origin);
+    }
+
+    window.addEventListener('message', function (event) {
+        if (event.source !== previewFrame.contentWindow || event.origin !== location.origin)
+            return;
+
+        const message = /** @type {PreviewMessage} */(event.data);
+        if (message.type !== "goal-editor:ready")
+            return;
+
+        postToPreview({ type: "goal-editor:config", config: buildConfig() });
+        postToPreview({ type: "goal-editor:points", total: pointsInput.valueAsNumber || 0 });
+    });
+
+    async function generateKey() {
+        keyInput.value = await crypto.exportKey(await crypto.generateKey());
+        setTextContentIfChanged(encryptionResult, "Neuer Schlüssel erzeugt. Die Bucket-URL muss neu verschlüsselt werden.");
+    }
+
+    /** @returns {Promise<CryptoKey | undefined>} */
+    async function importKey() {
+        try {
+            return await crypto.importKey(keyInput.value.trim());
+        } catch {
+            setTextContentIfChanged(encryptionResult, "Der Schlüssel ist ungültig.");
+        }
+    }
+
+    /** @returns {KeyRecipient[] | undefined} */
+    function getRecipients() {
+        return Array.isArray(model.config.recipients) ? model.config.recipients : undefined;
+    }
+
+    /**
+     * The key of the input encrypts the data directly, until recipients are listed.
+     * Then it has to be the key of a recipient, which unwraps the data key.
+     * @returns {Promise<CryptoKey | undefined>}
+     */
+    async function importDataKey() {
+        const key = await importKey();
+        if (!key)
+            return;
+
+        const dataKey = await crypto.resolveDataKey(getRecipients(), key);
+        if (!dataKey) {
+            setTextContentIfChanged(encryptionResult, "Der Schlüssel gehört zu keinem Moderator der config.json.");
+        }
+        return dataKey;
+    }
+
+    /**
+     * Encrypts the texts of the goal, so the surprise isn't public in the config.json.
+     * @returns {Promise<boolean>} false, if the goal stays visible.
+     */
+    async function hideGoal(/** @type {GoalConfig} */ goal) {
+        if (goal.text === undefined) {
+            setTextContentIfChanged(encryptionResult, "Bitte zuerst einen Text für das versteckte Ziel eingeben.");
+            return false;
+        }
+
+        const key = await importDataKey();
+        if (!key)
+            return false;
+
+        /** @type {LocalizedGoalTexts} */
+        const texts = { text: goal.text, subtext: goal.subtext };
+        goal.encrypted = await crypto.encrypt(JSON.stringify(texts), key);
+        goal.hidden = true;
+        delete goal.text;
+        delete goal.subtext;
+        setTextContentIfChanged(encryptionResult, "Die Texte des Ziels wurden verschlüsselt.");
+        return true;
+    }
+
+    /**
+     * Decrypts the texts of the goal again, so they can be edited.
+     * @returns {Promise<boolean>} false, if the goal stays hidden.
+     */
+    async function revealGoal(/** @type {GoalConfig} */ goal) {
+        if (goal.encrypted) {
+            const key = await importDataKey();
+            if (!key)
+                return false;
+
+            try {
+                /** @type {LocalizedGoalTexts} */
+                const texts = JSON.parse(await crypto.decrypt(goal.encrypted, key));
+                goal.text = texts.text;
+                if (texts.subtext !== undefined) {
+                    goal.subtext = texts.subtext;
+                }
+            } catch (err) {
+                console.error("Failed to decrypt hidden goal", goal.points, err);
+                setTextContentIfChanged(encryptionResult, "Die Texte des Ziels lassen sich mit dem Schlüssel nicht entschlüsseln.");
+                return false;
+            }
+            delete goal.encrypted;
+        }
+
+        delete goal.hidden;
+        setTextContentIfChanged(encryptionResult, "Das Ziel ist wieder sichtbar.");
+        return true;
+    }
+
+    async function encryptBucketUrl() {
+        const url = bucketUrlInput.value.trim();
+        if (!url) {
+            setTextContentIfChanged(encryptionResult, "Bitte eine Bucket-URL eingeben.");
+            return;
+        }
+
+        const key = await importDataKey();
+        if (!key)
+            return;
+
+        model.config.encryptedBucketUrl = await crypto.encrypt(url, key);
+        setTextContentIfChanged(encryptionResult,
+            `Die Bucket-URL wurde in die config.json übernommen. URL des Goal-Scrollers: .../goal_scroller/?key=${keyInput.value.trim()}`);
+        update();
+    }
+
+    /** The relay lets the remote control reach the overlay from another machine. */
+    async function encryptRelayUrl() {
+        const url = relayUrlInput.value.trim();
+        if (!url) {
+            delete model.config.remote;
+            setTextContentIfChanged(encryptionResult, "Die Relay-URL wurde aus der config.json entfernt.");
+            update();
+            return;
+        }
+
+        const key = await importDataKey();
+        if (!key)
+            return;
+
+        model.config.remote = { encryptedRelayUrl: await crypto.encrypt(url, key) };
+        setTextContentIfChanged(encryptionResult, "Die Relay-URL wurde in die config.json übernommen.");
+        update();
+    }
+
+    function renderRecipients() {
+        const recipients = getRecipients() ?? [];
+        recipientList.replaceChildren(...recipients.map(function (recipient) {
+            const item = document.createElement('li');
+            const removeButton = document.createElement('button');
+            removeButton.textContent = "Entfernen";
+            removeButton.addEventListener('click', () => removeRecipient(recipient.id));
+            item.append(`${recipient.id} `, removeButton);
+            return item;
+        }));
+        setTextContentIfChanged(recipientState, recipients.length > 0
+            ? `${recipients.length} Moderatoren. Nur ihre Schlüssel entschlüsseln die config.json.`
+            : "Keine Moderatoren. Der Schlüssel entschlüsselt die config.json direkt.");
+    }
+
+    /** @returns {string} The URLs of the goal scroller with the keys of the moderators, one per line. */
+    function formatRecipientKeys(/** @type {Record<string, string>} */ keys) {
+        return Object.entries(keys).map(([id, key]) => `${id}: .../goal_scroller/?key=${key}`).join('\n');
+    }
+
+    /**
+     * Generates a new data key, encrypts the config.json again and gives the moderators new keys.
+     * @param {string[]} recipientIds
+     * @returns {Promise<Record<string, string> | undefined>} The new keys by the moderator, undefined if it failed.
+     */
+    async function rotate(recipientIds) {
+        // The errors of the key are shown below the key input.
+        const dataKey = await importDataKey();
+        if (!dataKey)
+            return;
+
+        const config = buildConfig();
+        let result;
+        try {
+            result = await rotateDataKey('overlay', config, dataKey, recipientIds);
+        } catch (err) {
+            console.error("Failed to rotate the data key", err);
+            setTextContentIfChanged(recipientResult, "Die config.json lässt sich mit dem Schlüssel nicht entschlüsseln.");
+            return;
+        }
+
+        // The goals were encrypted again in place.
+        const { goals, ...others } = config;
+        model.config = others;
+        // Keep a valid key in the input for the next changes.
+        keyInput.value = recipientIds.length > 0
+            ? result.keys[recipientIds[0]]
+            : await crypto.exportKey(result.dataKey);
+
+        renderGoals();
+        renderRecipients();
+        update();
+        return result.keys;
+    }
+
+    /**
+     * Adds a moderator with an own key. The first one gets a new data key,
+     * because the current one is known to everyone with an URL of the time before the moderators.
+     */
+    async function addRecipient() {
+        const id = recipientIdInput.value.trim();
+        if (!id) {
+            setTextContentIfChanged(recipientResult, "Bitte einen Namen für den Moderator eingeben.");
+            return;
+        }
+
+        const recipients = getRecipients() ?? [];
+        if (recipients.some(x => x.id === id)) {
+            setTextContentIfChanged(recipientResult, `${id} ist bereits eingetragen.`);
+            return;
+        }
+
+        if (recipients.length === 0) {
+            if (!confirm("Für den ersten Moderator wird ein neuer Datenschlüssel erzeugt. Die bisherigen URLs des Goal-Scrollers funktionieren danach nicht mehr."))
+                return;
+
+            const keys = await rotate([id]);
+            if (!keys)
+                return;
+
+            recipientIdInput.value = '';
+            setTextContentIfChanged(recipientResult, `Neuer Datenschlüssel erzeugt. Schlüssel für ${formatRecipientKeys(keys)}`);
+            return;
+        }
+
+        // The errors of the key are shown below the key input.
+        const dataKey = await importDataKey();
+        if (!dataKey)
+            return;
+
+        const { key, recipient } = await crypto.createRecipient(id, dataKey);
+        model.config.recipients = [...recipients, recipient];
+        recipientIdInput.value = '';
+        setTextContentIfChanged(recipientResult, `Schlüssel für ${formatRecipientKeys({ [id]: key })}`);
+        renderRecipients();
+        update();
+    }
+
+    /**
+     * Removes the moderator and generates a new data key, because the moderator could have kept the unwrapped one.
+     * The last moderator stays, otherwise the data key would be the key of the URLs again.
+     */
+    async function removeRecipient(/** @type {string} */ id) {
+        const remainingIds = (getRecipients() ?? []).map(x => x.id).filter(x => x !== id);
+        if (remainingIds.length === 0) {
+            setTextContentIfChanged(recipientResult,
+                `${id} ist der letzte Moderator und kann nicht entfernt werden. Zuerst einen anderen Moderator hinzufügen.`);
+            return;
+        }
+
+        if (!confirm(`Den Schlüssel von ${id} wirklich entfernen? Alle anderen Moderatoren bekommen einen neuen Schlüssel.`))
+            return;
+
+        const keys = await rotate(remainingIds);
+        if (!keys)
+            return;
+
+        setTextContentIfChanged(recipientResult, `Der Schlüssel von ${id} wurde entfernt. Die neuen Schlüssel:\n${formatRecipientKeys(keys)}`);
+    }
+
+    /** Locks out everyone who knows the current data key or one of the current keys. */
+    async function rotateAllKeys() {
+        if (!confirm("Einen neuen Datenschlüssel erzeugen? Alle bisherigen Schlüssel und URLs funktionieren danach nicht mehr."))
+            return;
+
+        const recipientIds = (getRecipients() ?? []).map(x => x.id);
+        const keys = await rotate(recipientIds);
+        if (!keys)
+            return;
+
+        setTextContentIfChanged(recipientResult, recipientIds.length > 0
+            ? `Neuer Datenschlüssel erzeugt. Die neuen Schlüssel:\n${formatRecipientKeys(keys)}`
+            : `Neuer Datenschlüssel erzeugt: ${keyInput.value}`);
+    }
+
+    function download() {
+        const blob = new Blob([exportOutput.value + '\n'], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'config.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href));
+    }
+
+    reloadConfigButton.addEventListener('click', loadScrollerConfig);
+    configFileInput.addEventListener('change', function () {
+        const file = configFileInput.files?.[0];
+        if (file) {
+            loadFile(file);
+        }
+    });
+    addLanguageButton.addEventListener('click', addLanguage);
+    addGoalButton.addEventListener('click', addGoal);
+    sortGoalsButton.addEventListener('click', sortGoals);
+    pointsSlider.addEventListener('input', () => setPoints(pointsSlider.valueAsNumber));
+    pointsInput.addEventListener('input', () => setPoints(pointsInput.valueAsNumber || 0));
+    generateKeyButton.addEventListener('click', generateKey);
+    encryptBucketUrlButton.addEventListener('click', encryptBucketUrl);
+    encryptRelayUrlButton.addEventListener('click', encryptRelayUrl);
+    addRecipientButton.addEventListener('click', addRecipient);
+    rotateDataKeyButton.addEventListener('click', rotateAllKeys);
+    downloadButton.addEventListener('click', download);
+    copyButton.addEventListener('click', () => navigator.clipboard.writeText(exportOutput.value + '\n'));
+
+    return {
+        loadScrollerConfig,
+    };
+})();
+
+await editor.loadScrollerConfig();
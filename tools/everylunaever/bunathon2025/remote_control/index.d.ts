@@ -0,0 +1,15 @@
+/// <reference path="../../../../overlay/everylunaever/bunathon2025/goal_scroller/index.d.ts" />
+
+declare var overlayState: HTMLSpanElement;
+declare var relayState: HTMLSpanElement;
+declare var pauseButton: HTMLButtonElement;
+declare var resumeButton: HTMLButtonElement;
+declare var pointsOffsetInput: HTMLInputElement;
+declare var applyPointsOffsetButton: HTMLButtonElement;
+declare var resetPointsOffsetButton: HTMLButtonElement;
+declare var hideButton: HTMLButtonElement;
+declare var showButton: HTMLButtonElement;
+declare var refreshButton: HTMLButtonElement;
+declare var clearHighlightButton: HTMLButtonElement;
+declare var goalRowTemplate: HTMLTemplateElement;
+declare var goalTableBody: HTMLTableSectionElement;
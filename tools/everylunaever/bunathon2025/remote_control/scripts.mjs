@@ -0,0 +1,329 @@
+/// @ts-check
+/// <reference path="./index.d.ts" />
+
+import * as crypto from "../../../../overlay/everylunaever/bunathon2025/goal_scroller/crypto.mjs";
+import { createLanguageChain, localize } from "../../../../overlay/everylunaever/bunathon2025/goal_scroller/localization.mjs";
+import { createRemoteChannel } from "../../../../overlay/everylunaever/bunathon2025/goal_scroller/remote.mjs";
+
+'use strict';
+
+const scrollerPath = '../../../../overlay/everylunaever/bunathon2025/goal_scroller/';
+
+const isDevelopment = location.host === '127.0.0.1:5500';
+
+const settings = {
+    keyStorageKey: 'bunathon2025-remote-control-key',
+    /** Milliseconds between the queries of the overlay status. */
+    queryInterval: 5000,
+    /** Milliseconds without a status, until the overlay is reported as unreachable. */
+    statusTimeout: 12000,
+};
+
+function setTextContentIfChanged(
+        /** @type {HTMLElement} */ element,
+        /** @type {string} */ text
+) {
+    if (element.textContent === text)
+        return;
+
+    element.textContent = text;
+}
+
+/**
+ * Reads the key of the overlay url and keeps it for the session, so it leaves the address bar and a reload still works.
+ * Like the dashboard it is gone with the closed tab, instead of unlocking the remote control forever.
+ * @returns {Promise<CryptoKey | undefined>}
+ */
+async function tryLoadKey(/** @type {Config} */ config) {
+    // Previous versions kept the key permanently.
+    localStorage.removeItem(settings.keyStorageKey);
+
+    const searchParams = new URLSearchParams(location.search);
+    const base64 = searchParams.get('key') ?? sessionStorage.getItem(settings.keyStorageKey);
+    if (!base64 || base64.length < 43 || base64.length > 44)
+        return;
+
+    try {
+        // The key of a moderator only unwraps the data key, unless the config has no recipients.
+        const imported = await crypto.resolveDataKey(config.recipients, await crypto.importKey(base64));
+        if (!imported) {
+            sessionStorage.removeItem(settings.keyStorageKey);
+            return;
+        }
+
+        sessionStorage.setItem(settings.keyStorageKey, base64);
+        if (searchParams.has('key')) {
+            searchParams.delete('key');
+            const search = searchParams.toString();
+            history.replaceState(null, '', `${location.pathname}${search ? `?${search}` : ''}${location.hash}`);
+        }
+        return imported;
+    } catch {
+
+    }
+}
+
+/** @returns {Promise<Config>} */
+async function loadScrollerConfig() {
+    const response = await fetch(`${scrollerPath}config.json`, {
+        method: 'GET',
+        // Ignore the disk cache and rely on the 304 Not Modified response
+        cache: 'no-cache',
+    });
+    if (!response.ok)
+        throw new Error(`Failed to load config.json: ${response.status} ${response.statusText}`);
+
+    return await response.json();
+}
+
+/**
+ * The relay of the remote control, which is encrypted like the bucket url.
+ * The key encrypts the commands too, so the overlay only executes the commands of the key owners.
+ * @returns {Promise<{ url: string, key: CryptoKey } | undefined>}
+ */
+async function loadRelay(
+        /** @type {Config} */ config,
+        /** @type {CryptoKey | undefined} */ key) {
+    // The local stand-in of debug-push-server.mjs
+    const isLocalRelay = isDevelopment && new URLSearchParams(location.search).has('relay');
+    if (!isLocalRelay && !config.remote) {
+        setTextContentIfChanged(relayState, "nicht konfiguriert");
+        return;
+    }
+
+    if (!key) {
+        setTextContentIfChanged(relayState, "Schlüssel fehlt, die URL mit ?key= des Overlays öffnen");
+        return;
+    }
+
+    if (isLocalRelay || !config.remote)
+        return { url: 'ws://127.0.0.1:5501/remote', key };
+
+    try {
+        return { url: await crypto.decrypt(config.remote.encryptedRelayUrl, key), key };
+    } catch (err) {
+        console.error("Failed to decrypt the relay url", err);
+        setTextContentIfChanged(relayState, "Der Schlüssel passt nicht zur config.json");
+    }
+}
+
+const remote = (function () {
+    /** @type {ReturnType<typeof createRemoteChannel> | undefined} */
+    let channel;
+
+    /**
+     * The latest status of an overlay.
+     * @type {{ status: RemoteStatus, receivedAt: number } | undefined}
+     */
+    let latest;
+
+    /** @type {((status: RemoteStatus | undefined) => void)[]} */
+    const statusListeners = [];
+
+    function send(/** @type {RemoteCommand} */ command) {
+        channel?.post({ type: "remote:command", command });
+    }
+
+    function query() {
+        channel?.post({ type: "remote:query" });
+
+        // Forget the status of an overlay, which doesn't answer anymore.
+        if (latest && Date.now() - latest.receivedAt > settings.statusTimeout) {
+            latest = undefined;
+            statusListeners.forEach(x => x(undefined));
+        }
+    }
+
+    function start(/** @type {{ url: string, key: CryptoKey } | undefined} */ relay) {
+        channel = createRemoteChannel({
+            relay,
+            onMessage(message) {
+                if (message.type !== "remote:status")
+                    return;
+
+                latest = { status: message.status, receivedAt: Date.now() };
+                statusListeners.forEach(x => x(message.status));
+            },
+            onRelayChange(connected) {
+                setTextContentIfChanged(relayState, connected ? "verbunden" : "getrennt, verbinde neu...");
+            },
+        });
+
+        query();
+        setInterval(query, settings.queryInterval);
+    }
+
+    return {
+        send,
+        start,
+        onStatus: (/** @type {(status: RemoteStatus | undefined) => void} */ listener) => statusListeners.push(listener),
+    };
+})();
+
+const controls = (function () {
+    /** @type {GoalConfig[]} */
+    let goals = [];
+    /** @type {string[]} */
+    let languages = [];
+    /**
+     * The decrypted texts of the hidden goals by their index.
+     * @type {Map<number, LocalizedGoalTexts>}
+     */
+    const decrypted = new Map();
+    /** @type {RemoteStatus | undefined} */
+    let status;
+
+    function formatNumber(/** @type {number} */ value) {
+        return value.toLocaleString(languages[0]);
+    }
+
+    function getGoalText(/** @type {number} */ index) {
+        const goal = goals[index];
+        const texts = decrypted.get(index) ?? goal;
+        if (texts.text === undefined)
+            return "(verschlüsselt)";
+
+        const text = localize(texts.text, languages);
+        return goal.hidden ? `${text} (versteckt)` : text;
+    }
+
+    async function decryptHiddenGoals(/** @type {CryptoKey} */ key) {
+        for (const [index, goal] of goals.entries()) {
+            if (!goal.encrypted)
+                continue;
+
+            try {
+                decrypted.set(index, JSON.parse(await crypto.decrypt(goal.encrypted, key)));
+            } catch (err) {
+                console.error("Failed to decrypt hidden goal", goal.points, err);
+            }
+        }
+    }
+
+    function renderGoals() {
+        goalTableBody.replaceChildren(...goals.map(function (goal, index) {
+            const row = /** @type {HTMLTableRowElement} */(/** @type {Element} */(goalRowTemplate.content.cloneNode(true)).firstElementChild);
+
+            setTextContentIfChanged(/** @type {HTMLElement} */(row.querySelector('td.index')), `${index + 1}`);
+            setTextContentIfChanged(/** @type {HTMLElement} */(row.querySelector('td.points')), formatNumber(goal.points));
+            setTextContentIfChanged(/** @type {HTMLElement} */(row.querySelector('td.text')), getGoalText(index));
+
+            /** @type {HTMLButtonElement} */(row.querySelector('button.jump')).addEventListener('click', () => remote.send({ type: "jumpToGoal", index }));
+            /** @type {HTMLButtonElement} */(row.querySelector('button.celebrate')).addEventListener('click', () => remote.send({ type: "celebrate", index }));
+            /** @type {HTMLButtonElement} */(row.querySelector('button.highlight')).addEventListener('click', () => remote.send({ type: "highlight", index }));
+
+            return row;
+        }));
+
+        renderStatus();
+    }
+
+    function renderStatus() {
+        const isConnected = status !== undefined;
+        for (const button of [pauseButton, resumeButton, applyPointsOffsetButton, resetPointsOffsetButton, hideButton, showButton, refreshButton, clearHighlightButton]) {
+            button.disabled = !isConnected;
+        }
+        for (const button of Array.from(goalTableBody.querySelectorAll('button'))) {
+            button.disabled = !isConnected;
+        }
+
+        if (!status) {
+            setTextContentIfChanged(overlayState, "keine Rückmeldung");
+            return;
+        }
+
+        pauseButton.disabled = status.paused;
+        resumeButton.disabled = !status.paused;
+        hideButton.disabled = status.hidden;
+        showButton.disabled = !status.hidden;
+        clearHighlightButton.disabled = status.highlightedGoal === null;
+
+        const parts = [
+            typeof status.totalPoints === "number" ? `${formatNumber(status.totalPoints)} Punkte` : "noch keine Punkte",
+        ];
+        if (status.pointsOffset !== 0) {
+            parts.push(`Korrektur ${status.pointsOffset > 0 ? '+' : ''}${formatNumber(status.pointsOffset)}`);
+        }
+        if (status.paused) {
+            parts.push("pausiert");
+        }
+        if (status.hidden) {
+            parts.push("ausgeblendet");
+        }
+        setTextContentIfChanged(overlayState, `verbunden, ${parts.join(', ')}`);
+
+        const activeIndex = (status.doneIndex ?? -1) + 1;
+        Array.from(goalTableBody.rows).forEach(function (row, index) {
+            row.setAttribute('data-state', index < activeIndex ? "completed" : index === activeIndex ? "active" : "upcoming");
+            row.toggleAttribute('data-highlighted', index === status?.highlightedGoal);
+        });
+    }
+
+    function setStatus(/** @type {RemoteStatus | undefined} */ newStatus) {
+        // Don't overwrite the input, while the offset is typed.
+        if (newStatus && document.activeElement !== pointsOffsetInput
+            && newStatus.pointsOffset !== status?.pointsOffset) {
+            pointsOffsetInput.value = `${newStatus.pointsOffset}`;
+        }
+
+        status = newStatus;
+        renderStatus();
+    }
+
+    /**
+     * @param {Config} config
+     * @param {CryptoKey | undefined} key
+     */
+    async function load(config, key) {
+        goals = config.goals;
+        languages = createLanguageChain([config.locale ?? navigator.language]);
+        if (key) {
+            await decryptHiddenGoals(key);
+        }
+
+        renderGoals();
+    }
+
+    pauseButton.addEventListener('click', () => remote.send({ type: "pause" }));
+    resumeButton.addEventListener('click', () => remote.send({ type: "resume" }));
+    applyPointsOffsetButton.addEventListener('click', function () {
+        const points = pointsOffsetInput.valueAsNumber;
+        if (Number.isFinite(points)) {
+            remote.send({ type: "setPointsOffset", points });
+        }
+    });
+    resetPointsOffsetButton.addEventListener('click', () => remote.send({ type: "setPointsOffset", points: 0 }));
+    hideButton.addEventListener('click', () => remote.send({ type: "setHidden", hidden: true }));
+    showButton.addEventListener('click', () => remote.send({ type: "setHidden", hidden: false }));
+    refreshButton.addEventListener('click', function () {
+        if (confirm("Overlay wirklich neu laden?")) {
+            remote.send({ type: "refresh" });
+        }
+    });
+    clearHighlightButton.addEventListener('click', () => remote.send({ type: "highlight", index: null }));
+
+    return {
+        load,
+        setStatus,
+    };
+})();
+
+async function main() {
+    remote.onStatus(controls.setStatus);
+
+    /** @type {Config} */
+    let config;
+    try {
+        config = await loadScrollerConfig();
+    } catch (err) {
+        console.error("Failed to load config.json", err);
+        setTextContentIfChanged(overlayState, `Die config.json des Goal-Scrollers konnte nicht geladen werden: ${err}`);
+        return;
+    }
+
+    const key = await tryLoadKey(config);
+    await controls.load(config, key);
+    remote.start(await loadRelay(config, key));
+}
+
+await main();
@@ -0,0 +1,133 @@
+/// @ts-check
+
+// Writes the config.json files of the goal scroller and the dashboard and handles their encrypted values,
+// shared by the goal editor and tools/everylunaever/bunathon2025/cli/provision.mjs.
+
+import * as crypto from "../../../../overlay/everylunaever/bunathon2025/goal_scroller/crypto.mjs";
+
+'use strict';
+
+/**
+ * @typedef {'overlay' | 'dashboard'} ToolName
+ * @typedef {{ name: string, value: unknown, replace: (value: unknown) => void }} EncryptedValue
+ */
+
+/** @returns {value is Record<string, unknown>} */
+export function isObject(/** @type {unknown} */ value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Formats the json like the config.json in the repository:
+ * indented by 4 spaces, but every goal in a single line.
+ * @param {Record<string, unknown>} json
+ */
+export function formatConfig(json) {
+    /** @returns {string} */
+    function formatInline(/** @type {unknown} */ value) {
+        if (Array.isArray(value))
+            return `[${value.map(formatInline).join(', ')}]`;
+
+        if (isObject(value))
+            return `{ ${Object.entries(value).map(([key, x]) => `${JSON.stringify(key)}: ${formatInline(x)}`).join(', ')} }`;
+
+        return JSON.stringify(value);
+    }
+
+    const { goals, ...others } = json;
+    // The config.json of the dashboard has no goals.
+    if (!Array.isArray(goals))
+        return JSON.stringify(json, undefined, 4);
+
+    const text = JSON.stringify({ ...others, goals: [] }, undefined, 4);
+    if (goals.length === 0)
+        return text;
+
+    const goalLines = goals.map(goal => `        ${formatInline(goal)}`).join(',\n');
+    return text.replace(/"goals": \[\]/, `"goals": [\n${goalLines}\n    ]`);
+}
+
+/**
+ * An envelope of encrypt, or the legacy packed string of the iv and the data, which decrypt still reads.
+ * @returns {value is { iv: string, data: string } | string}
+ */
+export function isEncrypted(/** @type {unknown} */ value) {
+    if (typeof value === "string")
+        return value.length > 16;
+
+    return isObject(value) && typeof value.iv === "string" && typeof value.data === "string";
+}
+
+/**
+ * The encrypted values of the config.json by their name. The required ones are listed, even if they are missing.
+ * @param {ToolName} tool
+ * @param {Record<string, unknown>} config
+ * @returns {EncryptedValue[]}
+ */
+export function collectEncrypted(tool, config) {
+    /** @returns {EncryptedValue} */
+    function field(/** @type {string} */ name, /** @type {Record<string, unknown>} */ parent, /** @type {string} */ key) {
+        return { name, value: parent[key], replace: value => parent[key] = value };
+    }
+
+    switch (tool) {
+        case 'overlay': {
+            const push = isObject(config.push) ? config.push : {};
+            const remote = isObject(config.remote) ? config.remote : {};
+            const goals = Array.isArray(config.goals) ? config.goals : [];
+            return [
+                field('encryptedBucketUrl', config, 'encryptedBucketUrl'),
+                ...(push.encryptedUrl ? [field('push.encryptedUrl', push, 'encryptedUrl')] : []),
+                ...(remote.encryptedRelayUrl ? [field('remote.encryptedRelayUrl', remote, 'encryptedRelayUrl')] : []),
+                ...goals.flatMap((goal, index) => isObject(goal) && goal.encrypted ? [field(`goals[${index}].encrypted`, goal, 'encrypted')] : []),
+            ];
+        }
+        case 'dashboard':
+            return [
+                field('encryptedLiveBasketUrl', config, 'encryptedLiveBasketUrl'),
+                field('encryptedDetailsBasketUrl', config, 'encryptedDetailsBasketUrl'),
+            ];
+    }
+}
+
+/**
+ * Replaces the data key: encrypts every value of the config.json again with a new data key
+ * and wraps it for a new key of every recipient.
+ * Only this locks out a revoked recipient, who could have kept the unwrapped data key,
+ * and the URLs with the data key of the time before the recipients.
+ * The passphrase of the dashboard can't be wrapped again without the passphrase, so it is removed.
+ * @param {ToolName} tool
+ * @param {Record<string, unknown>} config Changed in place.
+ * @param {CryptoKey} dataKey The current data key.
+ * @param {string[]} recipientIds Without recipients the new data key is the key of the URLs.
+ * @returns {Promise<{ dataKey: CryptoKey, keys: Record<string, string>, removedPassphrase: boolean }>}
+ *   The new keys by the recipient id.
+ */
+export async function rotateDataKey(tool, config, dataKey, recipientIds) {
+    const newDataKey = await crypto.generateKey();
+
+    // Encrypt everything first, so a wrong data key throws before the config is changed.
+    const values = collectEncrypted(tool, config).filter(x => isEncrypted(x.value));
+    const encrypted = await Promise.all(values.map(x => crypto.reencrypt(
+        /** @type {{ iv: string, data: string } | string} */(x.value), dataKey, newDataKey)));
+    values.forEach((x, index) => x.replace(encrypted[index]));
+
+    /** @type {Record<string, string>} */
+    const keys = {};
+    if (recipientIds.length > 0) {
+        const recipients = [];
+        for (const id of recipientIds) {
+            const { key, recipient } = await crypto.createRecipient(id, newDataKey);
+            keys[id] = key;
+            recipients.push(recipient);
+        }
+        config.recipients = recipients;
+    } else {
+        delete config.recipients;
+    }
+
+    const removedPassphrase = 'passphrase' in config;
+    delete config.passphrase;
+
+    return { dataKey: newDataKey, keys, removedPassphrase };
+}
@@ -0,0 +1,108 @@
+/// @ts-check
+
+// Tests of the encrypted values of the config.json files, run with `npm test` in the root of the repository.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as crypto from '../../../../../overlay/everylunaever/bunathon2025/goal_scroller/crypto.mjs';
+import { collectEncrypted, rotateDataKey } from '../config-file.mjs';
+
+/** An overlay config.json with every encrypted value. */
+async function createOverlayConfig(/** @type {CryptoKey} */ key) {
+    return {
+        encryptedBucketUrl: await crypto.encrypt("https://bucket.example/", key),
+        push: { type: "sse", encryptedUrl: await crypto.encrypt("https://push.example/", key) },
+        remote: { encryptedRelayUrl: await crypto.encrypt("wss://relay.example/", key) },
+        goals: [
+            { points: 10, text: "Visible" },
+            { points: 20, hidden: true, encrypted: await crypto.encrypt(JSON.stringify({ text: "Hidden" }), key, { compress: true }) },
+        ],
+    };
+}
+
+describe("collectEncrypted", function () {
+    it("lists every encrypted value of the overlay", async function () {
+        const config = await createOverlayConfig(await crypto.generateKey());
+
+        assert.deepEqual(collectEncrypted('overlay', config).map(x => x.name),
+            ['encryptedBucketUrl', 'push.encryptedUrl', 'remote.encryptedRelayUrl', 'goals[1].encrypted']);
+    });
+
+    it("lists the required values, even if they are missing", function () {
+        assert.deepEqual(collectEncrypted('dashboard', {}).map(x => [x.name, x.value]),
+            [['encryptedLiveBasketUrl', undefined], ['encryptedDetailsBasketUrl', undefined]]);
+    });
+});
+
+describe("rotateDataKey", function () {
+    it("encrypts every value with the new data key and wraps it for new recipient keys", async function () {
+        const dataKey = await crypto.generateKey();
+        const { key: oldKey, recipient } = await crypto.createRecipient("alice", dataKey);
+        /** @type {Record<string, unknown>} */
+        const config = { ...await createOverlayConfig(dataKey), recipients: [recipient] };
+
+        const { keys } = await rotateDataKey('overlay', config, dataKey, ["alice", "bob"]);
+
+        const recipients = /** @type {{ id: string, wrappedKey: { iv: string, data: string } }[]} */(config.recipients);
+        assert.deepEqual(recipients.map(x => x.id), ["alice", "bob"]);
+        assert.equal(await crypto.resolveDataKey(recipients, await crypto.importKey(oldKey)), undefined);
+
+        for (const id of ["alice", "bob"]) {
+            const newDataKey = await crypto.resolveDataKey(recipients, await crypto.importKey(keys[id]));
+            assert.ok(newDataKey);
+            assert.deepEqual(await Promise.all(collectEncrypted('overlay', config).map(x => crypto.decrypt(/** @type {any} */(x.value), newDataKey))),
+                ["https://bucket.example/", "https://push.example/", "wss://relay.example/", JSON.stringify({ text: "Hidden" })]);
+        }
+
+        for (const { value } of collectEncrypted('overlay', config)) {
+            await assert.rejects(crypto.decrypt(/** @type {any} */(value), dataKey));
+        }
+    });
+
+    it("keeps the compression", async function () {
+        const dataKey = await crypto.generateKey();
+        const config = await createOverlayConfig(dataKey);
+
+        await rotateDataKey('overlay', config, dataKey, ["alice"]);
+
+        assert.equal(/** @type {any} */(config.goals[1].encrypted).compression, "gzip");
+    });
+
+    it("makes the new data key the key of the URLs without recipients and removes the passphrase", async function () {
+        const dataKey = await crypto.generateKey();
+        /** @type {Record<string, unknown>} */
+        const config = {
+            encryptedLiveBasketUrl: await crypto.encrypt("https://live.example/", dataKey),
+            encryptedDetailsBasketUrl: await crypto.encrypt("https://details.example/", dataKey),
+            passphrase: await crypto.createPassphrase("secret", dataKey, 1000),
+        };
+
+        const result = await rotateDataKey('dashboard', config, dataKey, []);
+
+        assert.deepEqual(result.keys, {});
+        assert.equal(result.removedPassphrase, true);
+        assert.equal('recipients' in config, false);
+        assert.equal('passphrase' in config, false);
+        assert.equal(await crypto.decrypt(/** @type {any} */(config.encryptedLiveBasketUrl), result.dataKey), "https://live.example/");
+    });
+
+    it("replaces the legacy packed string with an envelope", async function () {
+        const dataKey = await crypto.generateKey();
+        const { iv, data } = await crypto.encrypt("https://bucket.example/", dataKey);
+        /** @type {Record<string, unknown>} */
+        const config = { encryptedBucketUrl: iv + data };
+
+        const result = await rotateDataKey('overlay', config, dataKey, []);
+
+        assert.equal(/** @type {any} */(config.encryptedBucketUrl).version, 1);
+        assert.equal(await crypto.decrypt(/** @type {any} */(config.encryptedBucketUrl), result.dataKey), "https://bucket.example/");
+    });
+
+    it("doesn't change the config with a wrong data key", async function () {
+        const config = await createOverlayConfig(await crypto.generateKey());
+        const before = JSON.stringify(config);
+
+        await assert.rejects(rotateDataKey('overlay', config, await crypto.generateKey(), ["alice"]));
+        assert.equal(JSON.stringify(config), before);
+    });
+});